@@ -0,0 +1,185 @@
+'use strict';
+
+import { simulateMatch } from './match.js';
+import { DEFAULT_MODEL_CONFIG, getModelConfigKeys } from './modelConfig.js';
+import { createRandom } from './random.js';
+import { createSchedule } from './schedule.js';
+import { createModel } from './tournament.js';
+
+// Simulations of every game for its forecast
+const SIMULATIONS_PER_GAME = 200;
+
+// Forecasts are kept this far from 0 and 1, so a single upset can't make the log-loss infinite
+const MIN_PROBABILITY = 0.001;
+
+export const FIT_METRICS = ['brier', 'logLoss', 'marginError', 'totalError'];
+
+// Ranges the fit draws the constants of the model config from, within the minimums of `createModelConfig`
+const FIT_RANGES = {
+  rankWeight: [0, 1.5],
+  formWeight: [0, 1],
+  formFactor: [0, 0.3],
+  teamNoise: [9, 25],
+  marginNoise: [0, 20],
+  marginNoiseOffset: [-10, 2]
+};
+
+/**
+ * Lists the games of a results file in the order they were played, which is the order of the file.
+ * The round of a group game is the number of group games its first team has played, since real rounds don't follow
+ * the order of `getRoundRobinRounds`.
+ *
+ * @param {object} groups - The contents of groups.json, to look up the teams.
+ * @param {object} results - The contents of the results file, see `createPinnedResults`.
+ * @returns {Array<object>} The games, each with the `stage`, the `group` and `round` of group games as `game`, both teams and their scores.
+ */
+const getGames = (groups, results) => {
+  const teams = new Map(Object.entries(groups).flatMap(([group, teams]) => teams.map(team => [team.ISOCode, { team, group }])));
+  const groupGameCounts = new Map();
+
+  return Object.entries(results).flatMap(([stage, games]) => games.map(({ Team, Opponent, Result }) => {
+    const [{ team: team1, group }, { team: team2 }] = [teams.get(Team), teams.get(Opponent)];
+    const [score1, score2] = Result.split('-').map(Number);
+    let game;
+
+    if (stage === 'group') {
+      const round = (groupGameCounts.get(Team) ?? 0) + 1;
+      groupGameCounts.set(Team, round);
+      groupGameCounts.set(Opponent, (groupGameCounts.get(Opponent) ?? 0) + 1);
+      game = { group, round };
+    }
+
+    return { stage, game, team1, team2, score1, score2 };
+  }));
+}
+
+/**
+ * Forecasts a game before it's played, by simulating it many times with the model as it is. The model isn't updated by the simulations.
+ *
+ * @param {object} team1 - The first team.
+ * @param {object} team2 - The second team.
+ * @param {object} context - What the game is simulated with, see `simulateMatch`.
+ * @param {number} simulations - The number of times the game is simulated.
+ * @returns {object} The `winProbability` of the first team, and the expected `margin` of the first team and `total` points.
+ */
+const forecastGame = (team1, team2, { model, exhibitions, random, adjustments, config }, simulations) => {
+  const frozenModel = { getPointSpread: model.getPointSpread, update: () => {} };
+  let wins = 0;
+  let margin = 0;
+  let total = 0;
+
+  for (let i = 0; i < simulations; i++) {
+    const result = simulateMatch(team1, team2, { model: frozenModel, exhibitions, random, adjustments, config });
+    wins += result.team1 > result.team2 ? 1 : 0;
+    margin += result.team1 - result.team2;
+    total += result.team1 + result.team2;
+  }
+
+  return { winProbability: wins / simulations, margin: margin / simulations, total: total / simulations };
+}
+
+/**
+ * Scores the forecasts of the games against their results.
+ *
+ * @param {Array<object>} games - The forecast games, see `runBacktest`.
+ * @returns {object} The metrics, lower is better for all of them:
+ *   - `brier`: Brier score of the win probabilities, the mean squared difference from 1 for a win and 0 for a loss.
+ *   - `logLoss`: Mean negative natural logarithm of the probability given to the actual winner.
+ *   - `marginError`: Mean absolute error of the expected margin, in points.
+ *   - `totalError`: Mean absolute error of the expected total points.
+ */
+const getMetrics = (games) => {
+  const mean = (getValue) => games.reduce((sum, game) => sum + getValue(game), 0) / games.length;
+
+  return {
+    brier: mean(game => (game.winProbability - (game.score1 > game.score2 ? 1 : 0)) ** 2),
+    logLoss: mean(game => {
+      const probability = game.score1 > game.score2 ? game.winProbability : 1 - game.winProbability;
+      return -Math.log(Math.min(Math.max(probability, MIN_PROBABILITY), 1 - MIN_PROBABILITY));
+    }),
+    marginError: mean(game => Math.abs(game.margin - (game.score1 - game.score2))),
+    totalError: mean(game => Math.abs(game.total - (game.score1 + game.score2)))
+  };
+}
+
+/**
+ * Backtests the model on real results: every game is forecast before it's played, from the exhibitions and the games before it,
+ * and then the model is updated with the real result, like a pinned game. Games on the calendar of the format are forecast
+ * with its modifiers, like in a tournament.
+ *
+ * @param {object} groups - The contents of groups.json.
+ * @param {object} exhibitions - The contents of exhibitions.json, the games before the tournament.
+ * @param {object} results - The real results, in the format of a results file (see `createPinnedResults`), in the order played.
+ * @param {object} [options] - How the games are forecast.
+ * @param {string} [options.model] - The team strength model, `form` (default) or `elo`, see `createModel`.
+ * @param {object} [options.modelConfig] - The weights and random ranges of the model, see `createModelConfig`.
+ * @param {object} [options.format] - The tournament format with the `calendar` and `modifiers`, see `createSchedule`. None by default.
+ * @param {number} [options.seed] - The seed of the forecast simulations, so every config is scored on the same random numbers.
+ * @param {number} [options.simulations] - The number of simulations of every game.
+ * @returns {object} The forecast `games` (the `stage`, ISO codes of the teams, their scores, and the forecast `winProbability`,
+ * `margin` and `total`), and their `metrics` (see `getMetrics`).
+ *
+ * @example
+ * const { metrics } = runBacktest(groups, exhibitions, results, { seed: 42 });
+ * // { brier: 0.17, logLoss: 0.52, marginError: 11.4, totalError: 12.9 }
+ */
+export const runBacktest = (groups, exhibitions, results, {
+  model = 'form', modelConfig = DEFAULT_MODEL_CONFIG, format = {}, seed = 0, simulations = SIMULATIONS_PER_GAME
+} = {}) => {
+  const context = { model: createModel(model, groups, exhibitions, modelConfig), exhibitions, random: createRandom(seed), config: modelConfig };
+  const schedule = createSchedule(format);
+
+  const games = getGames(groups, results).map(({ stage, game, team1, team2, score1, score2 }) => {
+    const gameDay = schedule.getGameDay(stage, game);
+    const adjustments = [schedule.getAdjustment(team1, gameDay), schedule.getAdjustment(team2, gameDay)];
+    const forecast = forecastGame(team1, team2, { ...context, adjustments }, simulations);
+    context.model.update(team1, team2, score1, score2);
+    schedule.recordGame(team1, gameDay);
+    schedule.recordGame(team2, gameDay);
+
+    return { stage, team1: team1.ISOCode, team2: team2.ISOCode, score1, score2, ...forecast };
+  });
+
+  return { games, metrics: getMetrics(games) };
+}
+
+/**
+ * Fits the model config to real results with a random search: configs are drawn from the ranges of `FIT_RANGES`, every one is backtested
+ * with the same seed, and the one with the lowest metric wins. The starting config is always tried first, so the fit is never worse than it.
+ * Only the constants the model reads are fitted, see `getModelConfigKeys`, e.g. just the random ranges for the Elo model.
+ *
+ * @param {object} groups - The contents of groups.json.
+ * @param {object} exhibitions - The contents of exhibitions.json.
+ * @param {object} results - The real results, see `runBacktest`.
+ * @param {object} [options] - The backtest options (see `runBacktest`) and the search options.
+ * @param {number} [options.trials] - The number of configs tried, 200 by default.
+ * @param {string} [options.metric] - The metric to minimize, one of `FIT_METRICS`, `logLoss` by default.
+ * @returns {object} The best `modelConfig`, with the constants the model reads rounded to 3 decimals, and its `metrics`.
+ *
+ * @example
+ * const { modelConfig } = fitModelConfig(groups, exhibitions, results, { seed: 42, metric: 'brier' });
+ * fs.writeFileSync('modelConfig.json', JSON.stringify(modelConfig, null, 2));
+ */
+export const fitModelConfig = (groups, exhibitions, results, options = {}) => {
+  const { model = 'form', modelConfig = DEFAULT_MODEL_CONFIG, seed = 0, trials = 200, metric = 'logLoss' } = options;
+  const keys = getModelConfigKeys(model);
+  const random = createRandom(seed);
+  let best = { modelConfig, metrics: runBacktest(groups, exhibitions, results, options).metrics };
+
+  for (let i = 1; i < trials; i++) {
+    const candidate = {
+      ...modelConfig,
+      ...Object.fromEntries(keys.map(key => {
+        const [min, max] = FIT_RANGES[key];
+        return [key, Math.round((min + random() * (max - min)) * 1000) / 1000];
+      }))
+    };
+    const { metrics } = runBacktest(groups, exhibitions, results, { ...options, modelConfig: candidate });
+
+    if (metrics[metric] < best.metrics[metric]) {
+      best = { modelConfig: candidate, metrics };
+    }
+  }
+
+  return { modelConfig: Object.fromEntries(keys.map(key => [key, best.modelConfig[key]])), metrics: best.metrics };
+}
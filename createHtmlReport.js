@@ -0,0 +1,239 @@
+'use strict';
+
+import { toRoman } from './outputResults.js';
+
+// Size of a game in the SVG bracket, and the space around it
+const ROW_HEIGHT = 24;
+const GAME_HEIGHT = 2 * ROW_HEIGHT;
+const GAME_WIDTH = 220;
+const GAME_GAP = 24;
+const STAGE_GAP = 48;
+const HEADER_HEIGHT = 32;
+
+const STYLE = `
+  body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; color: #1d2433; }
+  h1 { margin-bottom: 0.25rem; }
+  h2 { margin-top: 2.5rem; border-bottom: 2px solid #d7dde8; padding-bottom: 0.25rem; }
+  .settings { color: #5b6578; font-size: 0.9rem; }
+  .cards { display: flex; flex-wrap: wrap; gap: 1rem; }
+  .card { border: 1px solid #d7dde8; border-radius: 6px; padding: 0.5rem 1rem; }
+  .card h3 { margin: 0.25rem 0 0.5rem; font-size: 1rem; }
+  table { border-collapse: collapse; font-size: 0.9rem; }
+  th, td { padding: 0.25rem 0.5rem; text-align: left; }
+  th { color: #5b6578; font-weight: 600; border-bottom: 1px solid #d7dde8; }
+  td.number, th.number { text-align: right; }
+  .winner { font-weight: 700; }
+  .game-day { color: #5b6578; font-size: 0.8rem; }
+  .bracket { overflow-x: auto; }
+  .bracket text { font-size: 13px; fill: #1d2433; }
+  .bracket .stage { font-weight: 600; fill: #5b6578; }
+  .podium { display: flex; align-items: flex-end; gap: 0.5rem; }
+  .podium div { width: 180px; text-align: center; border-radius: 6px 6px 0 0; padding: 0.75rem 0.5rem; font-weight: 600; }
+  .podium .gold { height: 140px; background: #f3d36b; }
+  .podium .silver { height: 105px; background: #d3d8df; }
+  .podium .bronze { height: 75px; background: #e0a875; }
+  .podium span { display: block; font-size: 0.8rem; font-weight: 400; }
+  .bar { display: inline-block; width: 60px; height: 0.7rem; background: #e8ecf3; vertical-align: middle; }
+  .bar span { display: block; height: 100%; background: #3d6fd1; }
+`;
+
+/**
+ * Escapes text for HTML and SVG, e.g. team names and venues.
+ *
+ * @param {*} text - The text.
+ * @returns {string} The escaped text.
+ */
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (character) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[character]);
+
+/**
+ * Formats the score of a game, marking games that went to overtime, e.g. "95:93 OT".
+ *
+ * @param {object} game - A game of the report, with `score1`, `score2` and `overtimes`.
+ * @returns {string} The formatted score.
+ */
+const formatScore = ({ score1, score2, overtimes }) => `${score1}:${score2}${overtimes > 1 ? ` ${overtimes}OT` : overtimes === 1 ? ' OT' : ''}`;
+
+/**
+ * Formats a probability as a percentage with a bar, e.g. for the chance to win gold.
+ *
+ * @param {number} probability - The probability, between 0 and 1.
+ * @returns {string} The bar and the percentage.
+ */
+const formatProbability = (probability) => {
+  const percentage = `${(probability * 100).toFixed(1)}%`;
+  return `<span class="bar"><span style="width: ${percentage}"></span></span> ${percentage}`;
+}
+
+/**
+ * Draws the elimination bracket as SVG: a column for every stage up to the final, where the winners of consecutive games
+ * meet in the next stage, and the bronze game below the final.
+ *
+ * @param {Array<object>} knockout - The elimination games of the report, in the order played.
+ * @param {function(string): string} getName - Gets the name of a team from its ISO code.
+ * @param {function(string): string} getStageName - Gets the name of a stage.
+ * @returns {string} The SVG element.
+ */
+const renderBracket = (knockout, getName, getStageName) => {
+  const stages = [...new Set(knockout.map(game => game.stage))].filter(stage => stage !== 'bronze');
+  const columns = stages.map(stage => knockout.filter(game => game.stage === stage));
+  const elements = [];
+
+  const renderGame = (game, x, y) => {
+    const rows = [[game.team1, game.score1], [game.team2, game.score2]].map(([team, score], row) => {
+      const className = team === game.winner ? ' class="winner"' : '';
+      const textY = y + row * ROW_HEIGHT + 17;
+      return `<text x="${x + 8}" y="${textY}"${className}>${escapeHtml(getName(team))}</text>`
+        + `<text x="${x + GAME_WIDTH - 8}" y="${textY}" text-anchor="end"${className}>${score}</text>`;
+    });
+    const title = `${getStageName(game.stage)}: ${formatScore(game)}${game.date ? `, ${game.date}, ${game.venue}` : ''}`;
+
+    elements.push(`<g><title>${escapeHtml(title)}</title>`
+      + `<rect x="${x}" y="${y}" width="${GAME_WIDTH}" height="${GAME_HEIGHT}" rx="4" fill="#fff" stroke="#9aa5b8"/>`
+      + `<line x1="${x}" y1="${y + ROW_HEIGHT}" x2="${x + GAME_WIDTH}" y2="${y + ROW_HEIGHT}" stroke="#d7dde8"/>${rows.join('')}</g>`);
+  };
+
+  // Games of the first stage are stacked, every later game is centered between the two games its teams come from
+  let centers = columns[0].map((_, index) => HEADER_HEIGHT + index * (GAME_HEIGHT + GAME_GAP) + GAME_HEIGHT / 2);
+
+  columns.forEach((games, column) => {
+    const x = column * (GAME_WIDTH + STAGE_GAP);
+
+    if (column > 0) {
+      const previousCenters = centers;
+      centers = games.map((_, index) => (previousCenters[2 * index] + previousCenters[2 * index + 1]) / 2);
+
+      previousCenters.forEach((center, index) => {
+        const middle = x - STAGE_GAP / 2;
+        elements.push(`<path d="M ${x - STAGE_GAP} ${center} H ${middle} V ${centers[Math.floor(index / 2)]} H ${x}" fill="none" stroke="#9aa5b8"/>`);
+      });
+    }
+
+    elements.push(`<text class="stage" x="${x}" y="${HEADER_HEIGHT - 12}">${escapeHtml(getStageName(stages[column]))}</text>`);
+    games.forEach((game, index) => renderGame(game, x, centers[index] - GAME_HEIGHT / 2));
+  });
+
+  let height = HEADER_HEIGHT + columns[0].length * (GAME_HEIGHT + GAME_GAP);
+  const bronze = knockout.find(game => game.stage === 'bronze');
+
+  if (bronze) {
+    const x = (columns.length - 1) * (GAME_WIDTH + STAGE_GAP);
+    const y = Math.max(centers[0] + GAME_HEIGHT / 2 + GAME_GAP + HEADER_HEIGHT, height - GAME_HEIGHT - GAME_GAP);
+
+    elements.push(`<text class="stage" x="${x}" y="${y - 12}">${escapeHtml(getStageName('bronze'))}</text>`);
+    renderGame(bronze, x, y);
+    height = Math.max(height, y + GAME_HEIGHT + GAME_GAP);
+  }
+
+  const width = columns.length * (GAME_WIDTH + STAGE_GAP) - STAGE_GAP + 1;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${elements.join('')}</svg>`;
+}
+
+/**
+ * Creates a self-contained HTML report of a tournament run, with inline CSS and SVG so it can be shared as a single file:
+ * the group games round by round, the standings, the pots, the elimination bracket with the bronze game, and the podium.
+ * With a Monte Carlo report, the probabilities of every team to reach each elimination stage and win each medal are added as bars.
+ *
+ * @param {object} report - The report of the run, see `createReport`.
+ * @param {object|null} probabilityReport - The report of the Monte Carlo simulation, see `createProbabilityReport`, or `null`.
+ * @param {string} command - The command that replays the simulation.
+ * @param {object} translator - Labels and country names in the chosen language, see `createTranslator`.
+ * @returns {string} The HTML document.
+ *
+ * @example
+ * const report = createReport(new Tournament(groups, exhibitions, { seed: 42 }).play(), groups, settings);
+ * fs.writeFileSync('report.html', createHtmlReport(report, null, 'node main.js --seed 42', createTranslator('en')));
+ */
+export const createHtmlReport = (report, probabilityReport, command, { t, teamName }) => {
+  const getName = (isoCode) => teamName(isoCode, report.teams[isoCode].name);
+  const getStageName = (stage) => ['roundOf32', 'roundOf16', 'quarterfinals', 'semifinals', 'bronze', 'finals'].includes(stage)
+    ? t(`stage.${stage}`)
+    : t('stage.roundOf', { teams: stage.replace('roundOf', '') });
+  const renderTeam = (isoCode, winner) => `<td${isoCode === winner ? ' class="winner"' : ''}>${escapeHtml(getName(isoCode))}</td>`;
+  const sections = [];
+
+  const groupNames = Object.keys(report.standings);
+  const roundCount = Math.max(...report.groupMatches.map(match => match.round));
+  const rounds = [];
+
+  for (let round = 1; round <= roundCount; round++) {
+    const cards = groupNames.map(group => {
+      const matches = report.groupMatches.filter(match => match.group === group && match.round === round);
+      const rows = matches.map(match => {
+        const winner = match.score1 > match.score2 ? match.team1 : match.team2;
+        return `<tr>${renderTeam(match.team1, winner)}${renderTeam(match.team2, winner)}<td class="number">${formatScore(match)}</td></tr>`;
+      });
+      const gameDay = matches[0]?.date ? `<div class="game-day">${escapeHtml(`${matches[0].date}, ${matches[0].venue}`)}</div>` : '';
+
+      return `<div class="card"><h3>${escapeHtml(t('group', { group }))}</h3>${gameDay}<table>${rows.join('')}</table></div>`;
+    });
+
+    rounds.push(`<h3>${escapeHtml(t('groupStageRound', { round: toRoman(round) }))}</h3><div class="cards">${cards.join('')}</div>`);
+  }
+
+  sections.push(`<h2>${escapeHtml(t('html.groupGames'))}</h2>${rounds.join('')}`);
+
+  const standings = groupNames.map(group => {
+    const header = `<tr><th></th><th>${escapeHtml(t('country'))}</th><th class="number">${escapeHtml(t('standings.wins'))}</th>`
+      + `<th class="number">${escapeHtml(t('standings.losses'))}</th><th class="number">${escapeHtml(t('standings.points'))}</th>`
+      + `<th class="number">${escapeHtml(t('scored'))}</th><th class="number">${escapeHtml(t('allowed'))}</th><th class="number">+/-</th>`
+      + `<th>${escapeHtml(t('decidedBy'))}</th></tr>`;
+    const rows = report.standings[group].map(team => `<tr><td class="number">${team.position}.</td><td>${escapeHtml(getName(team.team))}</td>`
+      + `<td class="number">${team.wins}</td><td class="number">${team.losses}</td><td class="number">${team.points}</td>`
+      + `<td class="number">${team.scored}</td><td class="number">${team.allowed}</td>`
+      + `<td class="number">${team.pointDifference >= 0 ? '+' : ''}${team.pointDifference}</td>`
+      + `<td>${escapeHtml(t(`tiebreaker.${team.tiebreaker}`))}</td></tr>`);
+
+    return `<div class="card"><h3>${escapeHtml(t('group', { group }))}</h3><table>${header}${rows.join('')}</table></div>`;
+  });
+
+  sections.push(`<h2>${escapeHtml(t('html.standings'))}</h2><div class="cards">${standings.join('')}</div>`);
+
+  if (report.pots) {
+    const pots = Object.entries(report.pots).map(([pot, teams]) => `<div class="card"><h3>${escapeHtml(t('pot', { pot }))}</h3>`
+      + `<table>${teams.map(isoCode => `<tr><td>${escapeHtml(getName(isoCode))}</td><td>${escapeHtml(report.teams[isoCode].group)}</td></tr>`).join('')}</table></div>`);
+
+    sections.push(`<h2>${escapeHtml(t('html.pots'))}</h2><div class="cards">${pots.join('')}</div>`);
+  }
+
+  sections.push(`<h2>${escapeHtml(t('html.bracket'))}</h2><div class="bracket">${renderBracket(report.knockout, getName, getStageName)}</div>`);
+
+  const { gold, silver, bronze } = report.medals;
+  const podium = [['silver', silver], ['gold', gold], ['bronze', bronze]]
+    .filter(([, isoCode]) => isoCode !== null)
+    .map(([medal, isoCode]) => `<div class="${medal}"><span>${escapeHtml(t(medal))}</span>${escapeHtml(getName(isoCode))}</div>`);
+
+  sections.push(`<h2>${escapeHtml(t('html.podium'))}</h2><div class="podium">${podium.join('')}</div>`);
+
+  if (probabilityReport) {
+    const cards = Object.entries(probabilityReport.probabilities).map(([group, teams]) => {
+      const stages = Object.keys(teams[0].stages);
+      const header = `<tr><th>${escapeHtml(t('country'))}</th>${stages.map(stage => `<th>${escapeHtml(getStageName(stage))}</th>`).join('')}`
+        + `${['gold', 'silver', 'bronze'].map(medal => `<th>${escapeHtml(t(medal))}</th>`).join('')}</tr>`;
+      const rows = teams.map(team => `<tr><td>${escapeHtml(teamName(team.team, team.name))}</td>`
+        + `${[...Object.values(team.stages), team.gold, team.silver, team.bronze].map(probability => `<td>${formatProbability(probability)}</td>`).join('')}</tr>`);
+
+      return `<div class="card"><h3>${escapeHtml(t('group', { group }))}</h3><table>${header}${rows.join('')}</table></div>`;
+    });
+
+    sections.push(`<h2>${escapeHtml(t('html.probabilities', { runs: probabilityReport.runs }))}</h2><div class="cards">${cards.join('')}</div>`);
+  }
+
+  const title = t('html.title', { tournament: report.tournament });
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="settings">${escapeHtml(t('seed', { seed: report.seed, model: report.model, command }))}</p>
+${sections.join('\n')}
+</body>
+</html>`;
+}
@@ -0,0 +1,136 @@
+'use strict';
+
+export const SCHEMA_VERSION = 1;
+
+/**
+ * Converts a knockout game to its report form.
+ *
+ * @param {string} stage - The name of the stage, e.g. `quarterfinals`.
+ * @param {object} game - An object with the `match` (two team objects) and the `result`.
+ * @returns {object} The game with teams by ISO code, scores, overtimes, the winner, the details of detailed games,
+ * and the date and venue of games on the calendar.
+ */
+const toKnockoutGame = (stage, { match, result }) => ({
+  stage,
+  team1: match[0].ISOCode,
+  team2: match[1].ISOCode,
+  score1: result.team1,
+  score2: result.team2,
+  overtimes: result.overtimes,
+  winner: result.team1 > result.team2 ? match[0].ISOCode : match[1].ISOCode,
+  ...(result.date && { date: result.date, venue: result.venue }),
+  ...(result.details && { details: result.details })
+});
+
+/**
+ * Creates a machine-readable report of a single tournament run, as described by report.schema.json.
+ * Teams are referenced by their ISO codes everywhere except in `teams`, which maps the codes to names and FIBA rankings.
+ * Games simulated with `--detailed` also contain their `details`, with quarter scores and box scores,
+ * and games on the calendar of the format contain their `date` and `venue`.
+ *
+ * @param {object} run - The played tournament, see `Tournament#play`, with `groupResults`, `groupRankings`, `pots` and `eliminationResults`.
+ * @param {object} groups - An object where keys are group names and values are arrays of team objects.
+ * @param {object} settings - The settings the run was simulated with.
+ * @param {number} settings.seed - The seed of the random number generator.
+ * @param {string} settings.model - The team strength model.
+ * @param {string} settings.tournament - The name of the tournament format.
+ * @returns {object} The report, ready to be serialized with `JSON.stringify`.
+ *
+ * @example
+ * createReport(new Tournament(groups, exhibitions, { seed: 42 }).play(), groups, { seed: 42, model: 'form', tournament: 'Olympic Games' });
+ * // {
+ * //   schemaVersion: 1, type: 'tournament', seed: 42, model: 'form', tournament: 'Olympic Games',
+ * //   teams: { CAN: { name: 'Kanada', group: 'A', FIBARanking: 7 }, ... },
+ * //   groupMatches: [{ round: 1, group: 'A', team1: 'CAN', team2: 'ESP', score1: 88, score2: 90, overtimes: 0 }, ...],
+ * //   standings: { A: [{ position: 1, team: 'CAN', wins: 2, losses: 1, points: 4, ... }, ...], ... },
+ * //   pots: { D: ['SRB', 'GER'], ... },
+ * //   draw: [['GER', 'ESP'], ['USA', 'AUS'], ['SRB', 'BRA'], ['CAN', 'FRA']],
+ * //   knockout: [{ stage: 'quarterfinals', team1: 'GER', team2: 'ESP', score1: 85, score2: 76, overtimes: 0, winner: 'GER' }, ...],
+ * //   medals: { gold: 'AUS', silver: 'SRB', bronze: 'CAN' }
+ * // }
+ */
+export const createReport = ({ groupResults, groupRankings, pots, eliminationResults }, groups, settings) => {
+  const teams = {};
+  const isoCodes = {};
+
+  for (const group in groups) {
+    groups[group].forEach(team => {
+      teams[team.ISOCode] = { name: team.Team, group, FIBARanking: team.FIBARanking };
+      isoCodes[team.Team] = team.ISOCode;
+    });
+  }
+
+  const groupMatches = Object.entries(groupResults).flatMap(([group, matches]) => matches.map(match => ({
+    round: match.round,
+    group,
+    team1: isoCodes[match.team1],
+    team2: isoCodes[match.team2],
+    score1: match.score1,
+    score2: match.score2,
+    overtimes: match.overtimes,
+    ...(match.date && { date: match.date, venue: match.venue }),
+    ...(match.details && { details: match.details })
+  })));
+
+  const standings = Object.fromEntries(Object.entries(groupRankings).map(([group, rankings]) => [
+    group,
+    rankings.map(team => ({
+      position: team.position,
+      team: team.ISOCode,
+      wins: team.wins,
+      losses: team.losses,
+      points: team.points,
+      scored: team.scored,
+      allowed: team.allowed,
+      pointDifference: team.scored - team.allowed,
+      tiebreaker: team.tiebreaker
+    }))
+  ]));
+
+  const knockout = Object.entries(eliminationResults).flatMap(([stage, games]) => games.map(game => toKnockoutGame(stage, game)));
+  const [final] = knockout.filter(game => game.stage === 'finals');
+  const [bronze] = knockout.filter(game => game.stage === 'bronze');
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    type: 'tournament',
+    seed: settings.seed,
+    model: settings.model,
+    tournament: settings.tournament,
+    teams,
+    groupMatches,
+    standings,
+    pots: pots && Object.fromEntries(Object.entries(pots).map(([pot, potTeams]) => [pot, potTeams.map(team => team.ISOCode)])),
+    draw: Object.values(eliminationResults)[0].map(({ match }) => match.map(team => team.ISOCode)),
+    knockout,
+    medals: {
+      gold: final.winner,
+      silver: final.winner === final.team1 ? final.team2 : final.team1,
+      bronze: bronze ? bronze.winner : null
+    }
+  };
+}
+
+/**
+ * Creates a machine-readable report of a Monte Carlo simulation, as described by report.schema.json.
+ *
+ * @param {object} probabilities - The probabilities for each team, grouped by group name, as returned by `getProbabilities`.
+ * @param {object} settings - The settings the simulation was run with.
+ * @param {number} settings.seed - The seed of the random number generator.
+ * @param {string} settings.model - The team strength model.
+ * @param {string} settings.tournament - The name of the tournament format.
+ * @param {number} settings.runs - The number of simulated tournaments.
+ * @returns {object} The report, ready to be serialized with `JSON.stringify`.
+ */
+export const createProbabilityReport = (probabilities, settings) => ({
+  schemaVersion: SCHEMA_VERSION,
+  type: 'probabilities',
+  seed: settings.seed,
+  model: settings.model,
+  tournament: settings.tournament,
+  runs: settings.runs,
+  probabilities: Object.fromEntries(Object.entries(probabilities).map(([group, teams]) => [
+    group,
+    teams.map(({ Team, ISOCode, ...teamProbabilities }) => ({ team: ISOCode, name: Team, ...teamProbabilities }))
+  ]))
+});
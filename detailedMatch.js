@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * Splits the points a team scored in a period into made baskets: three pointers, two pointers and free throws.
+ *
+ * @param {number} points - The points scored in the period.
+ * @param {function(): number} random - The random number generator.
+ * @returns {Array<number>} The value of each made basket, adding up to `points`.
+ */
+const splitIntoBaskets = (points, random) => {
+  const baskets = [];
+  let remaining = points;
+
+  while (remaining > 0) {
+    const roll = random();
+    const basket = remaining >= 3 && roll < 0.3 ? 3 : remaining >= 2 && roll < 0.82 ? 2 : 1;
+    baskets.push(basket);
+    remaining -= basket;
+  }
+
+  return baskets;
+}
+
+/**
+ * Gets a random integer between `min` and `max`, inclusive.
+ *
+ * @param {number} min - The lowest possible value.
+ * @param {number} max - The highest possible value.
+ * @param {function(): number} random - The random number generator.
+ * @returns {number} The random integer.
+ */
+const randomInteger = (min, max, random) => min + Math.floor(random() * (max - min + 1));
+
+/**
+ * Creates the box score of one team from its made baskets. Attempts are derived from the makes with
+ * realistic shooting percentages, and rebounds from the misses of both teams.
+ *
+ * @param {Array<number>} baskets - The value of each made basket.
+ * @param {function(): number} random - The random number generator.
+ * @returns {object} The box score, with made and attempted two pointers, three pointers and free throws, `points` and `turnovers`.
+ * Rebounds are added by `addRebounds` once both teams' misses are known.
+ */
+const createBoxScore = (baskets, random) => {
+  const count = (value) => baskets.filter(basket => basket === value).length;
+  const [twoPointersMade, threePointersMade, freeThrowsMade] = [count(2), count(3), count(1)];
+
+  return {
+    points: baskets.reduce((sum, basket) => sum + basket, 0),
+    twoPointersMade,
+    twoPointersAttempted: Math.max(twoPointersMade, Math.round(twoPointersMade / (0.48 + random() * 0.1))),
+    threePointersMade,
+    threePointersAttempted: Math.max(threePointersMade, Math.round(threePointersMade / (0.32 + random() * 0.08))),
+    freeThrowsMade,
+    freeThrowsAttempted: Math.max(freeThrowsMade, Math.round(freeThrowsMade / (0.7 + random() * 0.15))),
+    turnovers: randomInteger(8, 17, random)
+  };
+}
+
+/**
+ * Adds offensive and defensive rebounds to both box scores. Roughly a quarter of every team's missed
+ * field goals is rebounded by that team, and the rest by the opponent.
+ *
+ * @param {object} boxScore1 - The box score of the first team, updated in place.
+ * @param {object} boxScore2 - The box score of the second team, updated in place.
+ * @param {function(): number} random - The random number generator.
+ */
+const addRebounds = (boxScore1, boxScore2, random) => {
+  const getMisses = (boxScore) => boxScore.twoPointersAttempted - boxScore.twoPointersMade
+    + boxScore.threePointersAttempted - boxScore.threePointersMade;
+  const [misses1, misses2] = [getMisses(boxScore1), getMisses(boxScore2)];
+  const offensiveRebounds1 = Math.round(misses1 * (0.2 + random() * 0.12));
+  const offensiveRebounds2 = Math.round(misses2 * (0.2 + random() * 0.12));
+
+  Object.assign(boxScore1, {
+    offensiveRebounds: offensiveRebounds1,
+    defensiveRebounds: misses2 - offensiveRebounds2,
+    rebounds: offensiveRebounds1 + misses2 - offensiveRebounds2
+  });
+  Object.assign(boxScore2, {
+    offensiveRebounds: offensiveRebounds2,
+    defensiveRebounds: misses1 - offensiveRebounds1,
+    rebounds: offensiveRebounds2 + misses1 - offensiveRebounds1
+  });
+}
+
+/**
+ * Splits the regulation time scores of a match into quarters. Every quarter gets a random share of each team's points,
+ * between three quarters and one and a quarter of an even share, and the quarters add up to the regulation time scores.
+ *
+ * @param {Array<number>} scores - The regulation time scores as `[score1, score2]`.
+ * @param {function(): number} random - The random number generator.
+ * @returns {Array<Array<number>>} The score of each quarter as `[score1, score2]`.
+ *
+ * @example
+ * splitIntoQuarters([87, 82], createRandom(42));
+ * // [[21, 18], [20, 22], [24, 19], [22, 23]]
+ */
+export const splitIntoQuarters = (scores, random) => {
+  const [quarters1, quarters2] = scores.map(score => {
+    const weights = [1, 2, 3, 4].map(() => 0.75 + random() * 0.5);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    let [weightSoFar, pointsSoFar] = [0, 0];
+
+    // Rounds the running total, so no point is lost to rounding
+    return weights.map(weight => {
+      weightSoFar += weight;
+      const points = Math.round(score * weightSoFar / totalWeight) - pointsSoFar;
+      pointsSoFar += points;
+      return points;
+    });
+  });
+
+  return quarters1.map((points, index) => [points, quarters2[index]]);
+}
+
+/**
+ * Plays out a match from its period scores: the made baskets of both teams in every period are interleaved in random order,
+ * which gives the flow of the game (biggest lead and lead changes) and the box score, both adding up to the final score.
+ *
+ * @param {Array<Array<number>>} periods - The score of each period as `[score1, score2]`, four quarters followed by any overtimes.
+ * @param {function(): number} random - The random number generator.
+ * @returns {object} The details of the match:
+ *   - `quarters`: The period scores, as given.
+ *   - `biggestLead`: The biggest lead of each team, as `{ team1, team2 }`.
+ *   - `leadChanges`: How many times the lead went from one team to the other.
+ *   - `boxScore`: The box score of each team, as `{ team1, team2 }`.
+ *
+ * @example
+ * createMatchDetails([[22, 18], [20, 25], [24, 19], [21, 20]], createRandom(42));
+ * // {
+ * //   quarters: [[22, 18], [20, 25], [24, 19], [21, 20]],
+ * //   biggestLead: { team1: 11, team2: 4 },
+ * //   leadChanges: 6,
+ * //   boxScore: {
+ * //     team1: { points: 87, twoPointersMade: 27, twoPointersAttempted: 52, threePointersMade: 7, threePointersAttempted: 20, freeThrowsMade: 12, ... },
+ * //     team2: { points: 82, ... }
+ * //   }
+ * // }
+ */
+export const createMatchDetails = (periods, random) => {
+  const [baskets1, baskets2] = [[], []];
+  const lead = { team1: 0, team2: 0 };
+  let [score1, score2] = [0, 0];
+  let leader = null;
+  let leadChanges = 0;
+
+  periods.forEach(([periodScore1, periodScore2]) => {
+    const periodBaskets1 = splitIntoBaskets(periodScore1, random);
+    const periodBaskets2 = splitIntoBaskets(periodScore2, random);
+    baskets1.push(...periodBaskets1);
+    baskets2.push(...periodBaskets2);
+
+    let [i, j] = [0, 0];
+    while (i < periodBaskets1.length || j < periodBaskets2.length) {
+      // Pick the team that scores next in proportion to the baskets it has left in the period
+      const remaining1 = periodBaskets1.length - i;
+      const teamOneScores = random() * (remaining1 + periodBaskets2.length - j) < remaining1;
+      teamOneScores ? score1 += periodBaskets1[i++] : score2 += periodBaskets2[j++];
+
+      lead.team1 = Math.max(lead.team1, score1 - score2);
+      lead.team2 = Math.max(lead.team2, score2 - score1);
+
+      const currentLeader = score1 > score2 ? 'team1' : score2 > score1 ? 'team2' : leader;
+      if (leader && currentLeader !== leader) {
+        leadChanges += 1;
+      }
+      leader = currentLeader;
+    }
+  });
+
+  const boxScore = { team1: createBoxScore(baskets1, random), team2: createBoxScore(baskets2, random) };
+  addRebounds(boxScore.team1, boxScore.team2, random);
+
+  return { quarters: periods, biggestLead: lead, leadChanges, boxScore };
+}
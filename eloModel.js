@@ -0,0 +1,121 @@
+'use strict';
+
+// Rating of the team ranked first by FIBA, every following rank is worth a bit less
+const TOP_RATING = 1700;
+const RATING_PER_RANK = 15;
+
+// How much a single game can move the ratings
+const K_FACTOR = 20;
+
+// Rating points per point of expected margin
+const RATING_PER_POINT = 28;
+
+// Largest rating advantage of the winner that damps the margin multiplier, beyond it the multiplier stays positive
+const MAX_DAMPED_RATING_DIFF = 800;
+
+/**
+ * Parses a date in the DD/MM/YY format used by exhibitions.json.
+ *
+ * @param {string} date - The date to parse, e.g. "21/07/24".
+ * @returns {number} The date as a timestamp, for sorting.
+ */
+const parseDate = (date) => {
+  const [day, month, year] = date.split('/').map(Number);
+  return Date.UTC(2000 + year, month - 1, day);
+}
+
+/**
+ * Gets the initial rating of a team from its FIBA ranking.
+ *
+ * @param {number} FIBARanking - The team's FIBA ranking.
+ * @returns {number} The initial Elo rating.
+ */
+const getInitialRating = (FIBARanking) => TOP_RATING - RATING_PER_RANK * (FIBARanking - 1);
+
+/**
+ * Gets the probability of the first team winning from the rating difference.
+ *
+ * @param {number} ratingDiff - The rating of the first team minus the rating of the second team.
+ * @returns {number} The expected result of the first team, between 0 and 1.
+ */
+const getExpectedResult = (ratingDiff) => 1 / (1 + Math.pow(10, -ratingDiff / 400));
+
+/**
+ * Updates the ratings of two teams after a game, using the margin of victory to scale the change.
+ * The multiplier is damped by the winner's rating advantage, so that favorites beating underdogs by a lot
+ * don't inflate their rating as much as an upset would move it. The advantage is capped at `MAX_DAMPED_RATING_DIFF` either way,
+ * so the winner of a game between teams far apart in the FIBA ranking always gains rating.
+ *
+ * @param {object} ratings - An object where keys are ISO codes and values are ratings, updated in place.
+ * @param {string} team1 - The ISO code of the first team.
+ * @param {string} team2 - The ISO code of the second team.
+ * @param {number} score1 - The score of the first team.
+ * @param {number} score2 - The score of the second team.
+ */
+const updateRatings = (ratings, team1, team2, score1, score2) => {
+  const ratingDiff = ratings[team1] - ratings[team2];
+  const winnerRatingDiff = Math.min(Math.max(score1 > score2 ? ratingDiff : -ratingDiff, -MAX_DAMPED_RATING_DIFF), MAX_DAMPED_RATING_DIFF);
+  const marginMultiplier = Math.pow(Math.abs(score1 - score2) + 3, 0.8) / (7.5 + 0.006 * winnerRatingDiff);
+  const change = K_FACTOR * marginMultiplier * ((score1 > score2 ? 1 : 0) - getExpectedResult(ratingDiff));
+
+  ratings[team1] += change;
+  ratings[team2] -= change;
+}
+
+/**
+ * Gets every exhibition game once, in chronological order.
+ * Each game appears in exhibitions.json under both teams, with the result from that team's perspective.
+ *
+ * @param {object} exhibitions - The contents of exhibitions.json.
+ * @returns {Array<object>} The games, each with `date`, `team1`, `team2`, `score1` and `score2` properties.
+ */
+const getExhibitionGames = (exhibitions) => {
+  const games = new Map();
+
+  for (const team in exhibitions) {
+    exhibitions[team].forEach(match => {
+      const key = [match.Date, ...[team, match.Opponent].sort()].join('|');
+      const [score1, score2] = match.Result.split('-').map(Number);
+
+      if (!games.has(key)) {
+        games.set(key, { date: parseDate(match.Date), team1: team, team2: match.Opponent, score1, score2 });
+      }
+    });
+  }
+
+  return [...games.values()].sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Creates an Elo rating model with margin of victory adjustments.
+ * Ratings are seeded from the FIBA ranking, updated chronologically with the exhibition games,
+ * and then updated after every simulated game.
+ *
+ * @param {object} groups - An object where keys are group names and values are arrays of team objects.
+ * @param {object} exhibitions - The contents of exhibitions.json.
+ * @returns {object} The model:
+ *   - `getPointSpread(team1, team2)`: The expected margin of the first team over the second, from the rating difference.
+ *   - `update(team1, team2, score1, score2)`: Updates the ratings with the result of a game.
+ *   - `ratings`: An object where keys are ISO codes and values are current ratings.
+ *
+ * @example
+ * const model = createEloModel(groups, exhibitions);
+ * model.getPointSpread({ ISOCode: 'USA' }, { ISOCode: 'SSD' }); // 18.5
+ */
+export const createEloModel = (groups, exhibitions) => {
+  const ratings = {};
+
+  Object.values(groups).flat().forEach(team => {
+    ratings[team.ISOCode] = getInitialRating(team.FIBARanking);
+  });
+
+  getExhibitionGames(exhibitions).forEach(game => {
+    updateRatings(ratings, game.team1, game.team2, game.score1, game.score2);
+  });
+
+  return {
+    ratings,
+    getPointSpread: (team1, team2) => (ratings[team1.ISOCode] - ratings[team2.ISOCode]) / RATING_PER_POINT,
+    update: (team1, team2, score1, score2) => updateRatings(ratings, team1.ISOCode, team2.ISOCode, score1, score2)
+  };
+}
@@ -0,0 +1,148 @@
+'use strict';
+
+import { DEFAULT_MODEL_CONFIG } from './modelConfig.js';
+
+/**
+ * Calculates the adjusted point difference based on the ranks of the home and away teams,
+ * taking into account the actual score and the expected point difference.
+ *
+ * @param {number} rankHome - The rank of the home team.
+ * @param {number} rankAway - The rank of the away team.
+ * @param {number} score1 - The score of the first team (home if higher ranked, otherwise away).
+ * @param {number} score2 - The score of the second team (home if lower ranked, otherwise away).
+ * @returns {number} The adjusted point difference, considering the rank difference and actual score.
+ * If the rank difference is greater than 10 and the actual margin is less than expected, returns 0.
+ * This is because favorites beating teams by low margin doesn't affect the outcome afterwards,
+ * but affects when they beat underdogs by higher margin.
+ *
+ * @example
+ * // Rank difference ≤ 10, with a close match
+ * expectedPointDiff(5, 7, 100, 98);
+ * // returns -1, the favorite won by less than the expected 4.3 points
+ *
+ * @example
+ * // Rank difference > 10, home team wins by a smaller margin than expected
+ * expectedPointDiff(10, 30, 80, 70);
+ * // returns 0 (no reward, no penalty)
+ *
+ * @example
+ * // Rank difference > 10, home team wins by a larger margin than expected
+ * expectedPointDiff(10, 30, 90, 60);
+ * // returns 10 (reward for larger margin)
+ */
+export function expectedPointDiff(rankHome, rankAway, score1, score2) {
+  const actualPointDiff = rankHome < rankAway ? score1 - score2 : score2 - score1;
+  // Calculate the rank difference
+  const rankDiff = Math.abs(rankHome - rankAway);
+
+  // For small rank differences
+  const baseDiff = 4;
+
+  const maxDiff = 30;
+
+  // Nonlinear scaling factor
+  const scalingFactor = 1.5;
+
+  // Point difference calculated using a power function
+  const pointDiff = baseDiff + (maxDiff - baseDiff) * Math.pow(rankDiff / 30, scalingFactor);
+
+  let margin;
+
+  // If the rank difference is greater than 10, apply special rules
+  if (rankDiff > 10) {
+    if (actualPointDiff >= pointDiff) {
+      // Reward the higher-ranked team if they won by a bigger margin
+      margin = actualPointDiff / 3;
+      // Else: Do nothing, margin remains unchanged (no penalty)
+    } else {
+      return 0
+    }
+  } else {
+    // In case of small rank difference, use the normal calculation
+    margin = (actualPointDiff - pointDiff) / 3;
+  }
+
+  return Math.round(margin)
+}
+
+/**
+ * Computes the form of every team from the exhibition stage, see `expectedPointDiff`.
+ *
+ * @param {object} groups - An object where keys are group names and values are arrays of team objects.
+ * @param {object} exhibitions - The contents of exhibitions.json.
+ * @returns {object} An object where keys are ISO codes and values are forms, 0 for an average team.
+ */
+const getInitialForms = (groups, exhibitions) => {
+  const teamRankings = Object.values(groups).reduce((acc, groupTeams) => [
+    ...acc,
+    ...groupTeams.map(groupTeam => ({ ...groupTeam, form: 0 }))
+  ], [])
+
+  for (const team in exhibitions) {
+    const homeTeam = teamRankings.find(teamRanking => teamRanking.ISOCode === team)
+    const rankHome = homeTeam.FIBARanking
+
+    exhibitions[team].forEach(match => {
+      const awayTeam = teamRankings.find(teamRanking => teamRanking.ISOCode === match.Opponent);
+      const rankAway = awayTeam.FIBARanking
+      const [score1, score2] = match.Result.split('-').map(Number);
+
+      const pointDiff = expectedPointDiff(rankHome, rankAway, score1, score2);
+      rankHome < rankAway ? homeTeam.form += pointDiff : awayTeam.form += pointDiff;
+    });
+  }
+
+  const form = Object.values(teamRankings).reduce((acc, team) => {
+    acc[team.ISOCode] = team.form;
+    return acc;
+  }, {});
+
+  return form;
+}
+
+/**
+ * Updates the form of two teams based on the result of a match.
+ * The form is updated using a weighted average, where the form factor determines
+ * the influence of the current match's result on the team's overall form.
+ *
+ * @param {object} form - An object where keys are ISO codes and values are forms, updated in place.
+ * @param {object} team1 - The first team object, representing the home or away team.
+ * @param {object} team2 - The second team object, representing the opponent.
+ * @param {number} score1 - The score of the first team (team1).
+ * @param {number} score2 - The score of the second team (team2).
+ * @param {number} formFactor - The influence of the match on the form, between 0 and 1.
+ */
+const updateTeamForm = (form, team1, team2, score1, score2, formFactor) => {
+  form[team1.ISOCode] = (form[team1.ISOCode] * (1 - formFactor)) + ((score1 - score2) * formFactor);
+  form[team2.ISOCode] = (form[team2.ISOCode] * (1 - formFactor)) + ((score2 - score1) * formFactor);
+}
+
+/**
+ * Creates the form model: FIBA ranking difference combined with the form from the exhibition stage (see `getInitialForms`),
+ * updated after every game (see `updateTeamForm`). Every model starts from the exhibition forms, so tournaments don't affect each other.
+ *
+ * @param {object} groups - An object where keys are group names and values are arrays of team objects.
+ * @param {object} exhibitions - The contents of exhibitions.json.
+ * @param {object} [config] - The model config with the `rankWeight`, `formWeight` and `formFactor`, see `createModelConfig`.
+ * @returns {object} The model:
+ *   - `getPointSpread(team1, team2)`: The expected margin of the first team over the second.
+ *   - `update(team1, team2, score1, score2)`: Updates the forms with the result of a game.
+ *   - `form`: An object where keys are ISO codes and values are current forms.
+ *
+ * @example
+ * const model = createFormModel(groups, exhibitions);
+ * model.getPointSpread({ ISOCode: 'USA', FIBARanking: 1 }, { ISOCode: 'SSD', FIBARanking: 34 }); // 45
+ */
+export const createFormModel = (groups, exhibitions, { rankWeight, formWeight, formFactor } = DEFAULT_MODEL_CONFIG) => {
+  const form = getInitialForms(groups, exhibitions);
+
+  return {
+    form,
+    getPointSpread: (team1, team2) => {
+      const rankDiff = (team2.FIBARanking - team1.FIBARanking) * rankWeight;
+      const formDiff = (form[team1.ISOCode] - form[team2.ISOCode]) * formWeight;
+      return 2 * (rankDiff + formDiff);
+    },
+    update: (team1, team2, score1, score2) => updateTeamForm(form, team1, team2, score1, score2, formFactor)
+  };
+}
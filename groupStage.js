@@ -0,0 +1,306 @@
+'use strict';
+
+/**
+ * Builds the round-robin schedule for a group of any size using the circle method.
+ * The first team stays in place while the others rotate by one position after every round.
+ * With an odd number of teams, a bye is added and the team paired with it rests in that round.
+ *
+ * @param {Array<object>} teams - The teams in the group.
+ * @returns {Array<Array<Array<object>>>} An array of rounds, each containing the matches (pairs of teams) played in it.
+ *
+ * @example
+ * getRoundRobinRounds([can, aus, gre, esp]);
+ * // [
+ * //   [[can, esp], [aus, gre]],
+ * //   [[can, gre], [esp, aus]],
+ * //   [[can, aus], [gre, esp]]
+ * // ]
+ */
+export const getRoundRobinRounds = (teams) => {
+  const ring = teams.length % 2 === 0 ? [...teams] : [...teams, null];
+  const rounds = [];
+
+  for (let round = 0; round < ring.length - 1; round++) {
+    const matches = [];
+
+    for (let i = 0; i < ring.length / 2; i++) {
+      const [team1, team2] = [ring[i], ring[ring.length - 1 - i]];
+      if (team1 && team2) {
+        matches.push([team1, team2]);
+      }
+    }
+
+    rounds.push(matches);
+    ring.splice(1, 0, ring.pop());
+  }
+
+  return rounds;
+}
+
+/**
+ * Simulates the group phase of a tournament using a round-robin format,
+ * where each team plays against every other team in the group once (see `getRoundRobinRounds`).
+ *
+ * @param {object} groups - An object where keys are group names and values are arrays of team objects.
+ * Each team object should have a `Team` property representing the team's name or identifier.
+ * @param {function(object, object, string, object): object} playMatch - Plays a match between two teams in a stage (`group`)
+ * and returns the result, see `simulateMatch`. The last argument has the `group` and `round` of the match.
+ * @returns {object} An object with group names as keys and arrays of match results as values, in the order they were played.
+ * Each match result is an object with properties `round` (starting from 1), `team1`, `team2`, `score1`, `score2`, `overtimes`,
+ * `details` (only for detailed matches, see `simulateMatch`), and the `date` and `venue` of matches on the calendar (see `createSchedule`).
+ *
+ * @example
+ * const groups = {
+ *   "A": [
+ *     { Team: "Kanada", ISOCode: "CAN", FIBARanking: 7 },
+ *     { Team: "Australija", ISOCode: "AUS", FIBARanking: 5 },
+ *     { Team: "Grčka", ISOCode: "GRE", FIBARanking: 14 },
+ *     { Team: "Španija", ISOCode: "ESP", FIBARanking: 2 }
+ *   ]
+ * };
+ * 
+ * const results = createRoundRobin(groups, (team1, team2) => simulateMatch(team1, team2, { model, exhibitions, random }));
+ * 
+ * results = {
+ *   "A": [
+ *     { round: 1, team1: "Kanada", team2: "Španija", score1: 75, score2: 85, overtimes: 0 },
+ *     { round: 1, team1: "Australija", team2: "Grčka", score1: 95, score2: 77, overtimes: 0 },
+ *     { round: 2, team1: "Kanada", team2: "Grčka", score1: 85, score2: 66, overtimes: 0 },
+ *     { round: 2, team1: "Španija", team2: "Australija", score1: 88, score2: 80, overtimes: 0 },
+ *     { round: 3, team1: "Kanada", team2: "Australija", score1: 78, score2: 87, overtimes: 0 },
+ *     { round: 3, team1: "Grčka", team2: "Španija", score1: 73, score2: 91, overtimes: 0 }
+ *   ]
+ * }
+ */
+export const createRoundRobin = (groups, playMatch) => {
+  const results = {};
+  for (const group in groups) {
+    results[group] = [];
+
+    getRoundRobinRounds(groups[group]).forEach((round, index) => {
+      for (const match of round) {
+        const matchResult = playMatch(match[0], match[1], 'group', { group, round: index + 1 });
+
+        results[group].push({
+          round: index + 1,
+          team1: match[0].Team,
+          team2: match[1].Team,
+          score1: matchResult.team1,
+          score2: matchResult.team2,
+          overtimes: matchResult.overtimes,
+          details: matchResult.details,
+          ...(matchResult.date && { date: matchResult.date, venue: matchResult.venue })
+        });
+      }
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Tiebreak criteria applied, in order, to teams that are level on points, following the FIBA rules.
+ * The first three only take into account the games played between the tied teams.
+ * FIBA ranking replaces the drawing of lots as the last resort.
+ */
+const TIEBREAKERS = [
+  { name: 'headToHead', headToHead: true, getValue: (stats) => stats.points },
+  { name: 'headToHeadDifference', headToHead: true, getValue: (stats) => stats.scored - stats.allowed },
+  { name: 'headToHeadScored', headToHead: true, getValue: (stats) => stats.scored },
+  { name: 'pointDifference', getValue: (team) => team.scored - team.allowed },
+  { name: 'scored', getValue: (team) => team.scored },
+  { name: 'FIBARanking', getValue: (team) => -team.FIBARanking },
+];
+
+/**
+ * Splits teams into buckets of teams sharing the same value, ordered from the highest value to the lowest.
+ *
+ * @param {Array<object>} teams - The teams to split.
+ * @param {function(object): number} getValue - Returns the value teams are compared by.
+ * @returns {Array<Array<object>>} The buckets, each containing at least one team.
+ */
+const splitByValue = (teams, getValue) => {
+  const buckets = new Map();
+
+  teams.forEach(team => {
+    const value = getValue(team);
+    buckets.set(value, [...(buckets.get(value) ?? []), team]);
+  });
+
+  return [...buckets.entries()].sort(([a], [b]) => b - a).map(([, bucket]) => bucket);
+}
+
+/**
+ * Orders teams that are level on points using the FIBA tiebreak sequence.
+ * Once a criterion separates the teams, every bucket that is still tied starts the sequence again,
+ * using only the games between the teams left in it. Each team gets a `tiebreaker` property
+ * with the name of the criterion that decided its position.
+ *
+ * @param {Array<object>} teams - The tied teams, with `Team`, `scored`, `allowed` and `FIBARanking` properties.
+ * @param {Array<object>} matches - All matches of the group, with `team1`, `team2`, `score1` and `score2` properties.
+ * @returns {Array<object>} The teams ordered from the best to the worst.
+ *
+ * @example
+ * // Three teams level on 4 points: ESP beat AUS by 3, AUS beat CAN by 20, CAN beat ESP by 5
+ * breakTies([esp, aus, can], matches);
+ * // returns [aus, esp, can], all three with tiebreaker: 'headToHeadDifference'
+ */
+const breakTies = (teams, matches) => {
+  if (teams.length === 1) {
+    return teams;
+  }
+
+  const names = teams.map(team => team.Team);
+  const headToHeadStats = Object.fromEntries(names.map(name => [name, { points: 0, scored: 0, allowed: 0 }]));
+
+  matches
+    .filter(match => names.includes(match.team1) && names.includes(match.team2))
+    .forEach(match => {
+      const [stats1, stats2] = [headToHeadStats[match.team1], headToHeadStats[match.team2]];
+      stats1.scored += match.score1;
+      stats1.allowed += match.score2;
+      stats2.scored += match.score2;
+      stats2.allowed += match.score1;
+      match.score1 > match.score2 ? stats1.points += 2 : stats2.points += 2;
+    });
+
+  for (const tiebreaker of TIEBREAKERS) {
+    const buckets = splitByValue(teams, team => tiebreaker.getValue(tiebreaker.headToHead ? headToHeadStats[team.Team] : team));
+
+    if (buckets.length > 1) {
+      return buckets.flatMap(bucket => {
+        bucket.forEach(team => team.tiebreaker = tiebreaker.name);
+        return breakTies(bucket, matches);
+      });
+    }
+  }
+
+  return teams;
+}
+
+/**
+ * Ranks teams within each group based on their performance in the matches.
+ * Teams are ranked by points. Teams level on points are ordered by the FIBA tiebreak sequence (see `breakTies`):
+ * head-to-head results, then point difference and points scored in the games between the tied teams,
+ * then overall point difference and points scored, and finally FIBA ranking.
+ * Points are awarded based on match results: 2 points for a win, no points for a loss. Matches can't end in a tie, since they go to overtime.
+ *
+ * @param {object} groups - An object where keys are group names and values are arrays of team objects.
+ * Each team object should have a `Team` property representing the team's name or identifier and a `FIBARanking` property for ranking.
+ * @param {object} results - An object where keys are group names and values are arrays of match result objects.
+ * Each match result object should have `team1`, `team2`, `score1`, and `score2` properties representing the match details.
+ * @returns {object} An object with group names as keys and arrays of ranked team objects as values.
+ * Each ranked team object includes properties such as `Team`, `group`, `position`, `points`, `scored`, `allowed`, `wins`, and `losses`,
+ * and `tiebreaker`, the name of the criterion that decided the team's position (`points` if it was not level with any other team).
+ *
+ * @example
+ * const groups = {
+ *   "GroupA": [
+ *     { Team: "Canada", FIBARanking: 1 },
+ *     { Team: "USA", FIBARanking: 2 },
+ *     { Team: "Japan", FIBARanking: 3 },
+ *     { Team: "Australia", FIBARanking: 4 }
+ *   ]
+ * };
+ * const results = {
+ *   "GroupA": [
+ *     { team1: 'Kanada', team2: 'Australija', score1: 74, score2: 83 },
+ *     { team1: 'Grčka', team2: 'Španija', score1: 71, score2: 100 },
+ *     { team1: 'Kanada', team2: 'Grčka', score1: 84, score2: 77 },
+ *     { team1: 'Australija', team2: 'Španija', score1: 80, score2: 78 },
+ *     { team1: 'Kanada', team2: 'Španija', score1: 77, score2: 83 },
+ *     { team1: 'Australija', team2: 'Grčka', score1: 92, score2: 69 }
+ *   ]
+ * };
+ * 
+ * const rankings = rankTeams(groups, results);
+ * 
+ * rankings = {
+ *   "GroupA": [
+ *     {
+ *       Team: 'Španija',
+ *       ISOCode: 'ESP',
+ *       FIBARanking: 2,
+ *       group: 'GroupA',
+ *       points: 6,
+ *       scored: 269,
+ *       allowed: 224,
+ *       wins: 3,
+ *       losses: 0,
+ *       tiebreaker: 'points',
+ *       position: 1
+       }, ...
+ *   ]
+ * }
+ */
+export const rankTeams = (groups, results) => {
+  const rankings = {};
+  for (const group in groups) {
+    const teams = groups[group].map(team => ({
+      ...team,
+      group,
+      points: 0,
+      scored: 0,
+      allowed: 0,
+      wins: 0,
+      losses: 0,
+    }));
+
+    results[group].forEach(match => {
+      const team1 = teams.find(t => t.Team === match.team1);
+      const team2 = teams.find(t => t.Team === match.team2);
+      team1.scored += match.score1;
+      team1.allowed += match.score2;
+      team2.scored += match.score2;
+      team2.allowed += match.score1;
+
+      const processTeamOneWin = () => {
+        team1.points += 2;
+        team1.wins += 1;
+        team2.losses += 1;
+      }
+
+      const processTeamTwoWin = () => {
+        team2.points += 2;
+        team2.wins += 1;
+        team1.losses += 1;
+      }
+
+     match.score1 > match.score2 ? processTeamOneWin() : processTeamTwoWin();
+    });
+
+    rankings[group] = splitByValue(teams, team => team.points).flatMap(bucket => {
+      bucket.forEach(team => team.tiebreaker = 'points');
+      return breakTies(bucket, results[group]);
+    });
+    rankings[group].forEach((team, index) => team.position = index + 1);
+  }
+
+  return rankings;
+}
+
+/**
+ * Ranks teams for the elimination stage based on their performance in the group stage.
+ * For every group position listed in the format's `advancement`, the teams finishing in that position are ranked
+ * first by their points and then by point difference (scored - allowed), and the best `count` of them advance.
+ * For the Olympic format, these are the top two teams from each group and the two best of the three third-placed teams.
+ *
+ * @param {object} rankings - An object where keys are group names (e.g., "A", "B", "C") and values are arrays of ranked team objects.
+ * Each ranked team object includes properties such as `Team`, `points`, `scored`, `allowed`, `wins`, and `losses`.
+ * @param {object} format - The tournament format, see formats/olympic.json.
+ * @param {Array<object>} format.advancement - The number of teams (`count`) advancing from each group `position`.
+ * @returns {Array} An array of the advancing teams, each represented by a team object, ordered from the best ranked to the worst.
+ *
+ * @example
+ * // advancement: [{ position: 1, count: 3 }, { position: 2, count: 3 }, { position: 3, count: 2 }]
+ * getAdvancingTeams(rankings, format);
+ * // [USA, SRB, GER, FRA, ESP, AUS, BRA, CAN], with the 1st, 2nd and the two best 3rd placed teams
+ */
+export const getAdvancingTeams = (rankings, format) => {
+  const rankGroups = (teams) => teams.sort((a, b) => b.points - a.points || (b.scored - b.allowed) - (a.scored - a.allowed));
+
+  return format.advancement.flatMap(({ position, count }) => {
+    const teamsInPosition = Object.values(rankings).map(teams => teams[position - 1]);
+    return rankGroups(teamsInPosition).slice(0, count);
+  });
+}
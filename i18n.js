@@ -0,0 +1,28 @@
+'use strict';
+
+import fs from 'fs';
+
+export const LANGUAGES = ['sr', 'en'];
+
+/**
+ * Creates a translator for the console report, backed by the message catalog in locales/<lang>.json.
+ * Each catalog has `messages`, keyed by message name, with `{name}` placeholders, and `teams`, country names keyed by ISO code.
+ *
+ * @param {string} lang - The language, one of `LANGUAGES`.
+ * @returns {object} The translator:
+ *   - `t(key, params)`: The message for the key, with placeholders replaced by the matching `params`.
+ *   - `teamName(isoCode, fallback)`: The country name for the ISO code, or `fallback` if the catalog doesn't have it.
+ *
+ * @example
+ * const { t, teamName } = createTranslator('en');
+ * t('group', { group: 'A' }); // 'Group A'
+ * teamName('SRB', 'Srbija'); // 'Serbia'
+ */
+export const createTranslator = (lang) => {
+  const catalog = JSON.parse(fs.readFileSync(new URL(`./locales/${lang}.json`, import.meta.url)));
+
+  return {
+    t: (key, params = {}) => catalog.messages[key].replace(/\{(\w+)\}/g, (_, name) => params[name]),
+    teamName: (isoCode, fallback) => catalog.teams[isoCode] ?? fallback
+  };
+}
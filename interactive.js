@@ -0,0 +1,227 @@
+'use strict';
+
+import { getRoundRobinRounds } from './groupStage.js';
+import { getStageNames } from './knockout.js';
+import { formatGameDay, formatScore, getStageLabel, outputDraw, outputMedals, outputStandings, toRoman } from './outputResults.js';
+import { createRandom } from './random.js';
+import { Tournament } from './tournament.js';
+
+/**
+ * Lists the steps of a tournament that the interactive mode pauses after: every round of the group stage, the standings,
+ * the draw and every elimination stage, the bronze game last.
+ *
+ * @param {object} groups - The contents of groups.json.
+ * @param {object} format - The tournament format.
+ * @returns {Array<object>} The steps, each with its `type` (`round`, `standings`, `draw` or `stage`) and its `round` or `stage`.
+ */
+const getSteps = (groups, format) => {
+  const roundCount = Math.max(...Object.values(groups).map(teams => getRoundRobinRounds(teams).length));
+  const stages = [...getStageNames(format.bracketSize), ...(format.bracketSize >= 4 ? ['bronze'] : [])];
+
+  return [
+    ...Array.from({ length: roundCount }, (_, index) => ({ type: 'round', round: index + 1 })),
+    { type: 'standings' },
+    { type: 'draw' },
+    ...stages.map(stage => ({ type: 'stage', stage }))
+  ];
+}
+
+/**
+ * Converts a game to a pinned game of a results file, see `createPinnedResults`.
+ *
+ * @param {object} game - The game, with both teams, their scores and the overtimes.
+ * @returns {object} The pinned game, with the `Team` and `Opponent` ISO codes, the `Result` and the `Overtimes`.
+ */
+const toPinnedGame = ({ team1, team2, score1, score2, overtimes }) => ({
+  Team: team1.ISOCode,
+  Opponent: team2.ISOCode,
+  Result: `${score1}-${score2}`,
+  Overtimes: overtimes
+});
+
+/**
+ * Parses an overridden score, e.g. "2 95-93" for the second game, won 95:93 by the first team.
+ *
+ * @param {string} answer - The answer of the user.
+ * @param {number} offset - The number the games are listed from, minus one, e.g. 6 for the second round of a group stage.
+ * @param {number} gameCount - The number of games that can be overridden.
+ * @returns {object|null} The `index` of the game among the ones that can be overridden and the scores, or `null` if the answer
+ * isn't valid. Games can't end tied.
+ */
+const parseOverride = (answer, offset, gameCount) => {
+  const match = answer.trim().match(/^(\d+)\s+(\d+)\s*[-:]\s*(\d+)$/);
+  if (!match) {
+    return null;
+  }
+
+  const [number, score1, score2] = match.slice(1).map(Number);
+  const index = number - offset - 1;
+  return index >= 0 && index < gameCount && score1 !== score2 ? { index, score1, score2 } : null;
+}
+
+/**
+ * Steps through a single tournament in the console, pausing after every round of the group stage, the standings, the draw
+ * and every elimination stage. At every pause the user can continue, simulate the step again, or override the score of a game.
+ *
+ * Every step is played by a new tournament, where the games accepted so far are pinned like the games of a results file
+ * (see `createPinnedResults`), so overridden scores update the form of the teams and the rankings just like simulated ones.
+ * Later games are simulated again at their own step. Once the draw is accepted, the bracket is kept with a fixed seeding by rank.
+ * Simulating the standings again simulates the last round of the group stage again, since the standings only follow from the games.
+ *
+ * @param {object} groups - The contents of groups.json.
+ * @param {object} exhibitions - The contents of exhibitions.json.
+ * @param {object} options - The tournament options, see `Tournament`. Games of the `results` stay pinned, unless they are overridden.
+ * @param {object} translator - Labels and country names in the chosen language, see `createTranslator`.
+ * @param {function(string): Promise<string>} ask - Asks the user a question and resolves to the answer.
+ * @returns {Promise<object|null>} The played tournament (see `Tournament#play`), or `null` if the user quit.
+ *
+ * @example
+ * const readline = createInterface({ input: process.stdin, output: process.stdout });
+ * await runInteractive(groups, exhibitions, { format, seed: 42 }, createTranslator('en'), (question) => readline.question(question));
+ */
+const runInteractive = async (groups, exhibitions, options, translator, ask) => {
+  const { t, teamName } = translator;
+  const getName = (team) => teamName(team.ISOCode, team.Team);
+  const teams = new Map(Object.values(groups).flat().map(team => [team.Team, team]));
+  const random = createRandom(options.seed);
+  const steps = getSteps(groups, options.format);
+  // The games of every accepted step, by step index
+  const accepted = [];
+  let format = options.format;
+
+  const replay = () => {
+    const results = structuredClone(options.results ?? {});
+    accepted.flat().forEach(({ stage, game }) => {
+      results[stage] = [...(results[stage] ?? []), toPinnedGame(game)];
+    });
+
+    return new Tournament(groups, exhibitions, { ...options, format, results, random });
+  };
+
+  const outputGames = (games, offset = 0) => {
+    games.forEach(({ team1, team2, score1, score2, overtimes }, index) => {
+      console.log(`${' '.repeat(8)}${offset + index + 1}. ${getName(team1)} - ${getName(team2)} ${formatScore(score1, score2, overtimes)}`);
+    });
+  };
+
+  // Plays a step, returning its games and how to show them
+  const playStep = (step) => {
+    const tournament = replay();
+
+    if (step.type === 'round') {
+      const { groupResults } = tournament.playGroupStage();
+      const offset = accepted.flat().filter(({ stage }) => stage === 'group').length;
+      const games = Object.entries(groupResults).flatMap(([group, matches]) => matches
+        .filter(match => match.round === step.round)
+        .map(match => ({ stage: 'group', group, game: { ...match, team1: teams.get(match.team1), team2: teams.get(match.team2) } })));
+
+      const output = () => {
+        console.log(`\n${t('groupStageRound', { round: toRoman(step.round) })}`);
+        let number = offset;
+        Object.keys(groupResults).forEach(group => {
+          const groupGames = games.filter(game => game.group === group).map(({ game }) => game);
+          console.log(`    ${t('group', { group })}${formatGameDay(groupGames[0])}:`);
+          outputGames(groupGames, number);
+          number += groupGames.length;
+        });
+      };
+
+      return { games, offset, output };
+    }
+
+    if (step.type === 'standings') {
+      const { groupRankings } = tournament.playGroupStage();
+      return { games: [], output: () => outputStandings(groupRankings, translator) };
+    }
+
+    tournament.playGroupStage();
+    const { pots, bracket } = tournament.drawQuarterfinals();
+
+    if (step.type === 'draw') {
+      // Keeps the bracket for the next steps, with the advancing teams by their rank
+      const seeding = { type: 'fixed', bracket: bracket.map(match => match.map(team => `#${tournament.rankedTeams.indexOf(team) + 1}`)) };
+      return { games: [], seeding, output: () => outputDraw(pots, bracket, translator) };
+    }
+
+    const stageResults = tournament.playKnockouts()[step.stage];
+    const games = stageResults.map(({ match, result }) => ({
+      stage: step.stage,
+      game: { team1: match[0], team2: match[1], score1: result.team1, score2: result.team2, overtimes: result.overtimes }
+    }));
+
+    const output = () => {
+      console.log(`\n    ${getStageLabel(step.stage, t)}${formatGameDay(stageResults[0].result)}:`);
+      outputGames(games.map(({ game }) => game));
+    };
+
+    return { games, output };
+  };
+
+  let index = 0;
+  while (index < steps.length) {
+    const step = steps[index];
+    let played = playStep(step);
+    played.output();
+
+    for (;;) {
+      const answer = (await ask(`\n${t('interactive.prompt')} `)).trim().toLowerCase();
+
+      if (answer === 'q') {
+        return null;
+      }
+
+      if (answer === 'c' || answer === '') {
+        accepted[index] = played.games;
+        format = played.seeding ? { ...format, seeding: played.seeding } : format;
+        index += 1;
+        break;
+      }
+
+      if (answer === 'r' && step.type === 'standings') {
+        // Back to the last round of the group stage
+        index -= 1;
+        accepted.length = index;
+        break;
+      }
+
+      if (answer === 'r') {
+        played = playStep(step);
+        played.output();
+        continue;
+      }
+
+      if (answer === 'o' && step.type === 'draw') {
+        console.log(t('interactive.noGames'));
+        continue;
+      }
+
+      if (answer === 'o') {
+        // The standings can be changed by any game of the group stage, other steps by their own games, by the numbers they are listed with
+        const games = step.type === 'standings' ? accepted.flat() : played.games;
+        const offset = played.offset ?? 0;
+        const override = parseOverride(await ask(`${t('interactive.override')} `), offset, games.length);
+
+        if (!override) {
+          console.log(t('interactive.invalidOverride', { first: offset + 1, last: offset + games.length }));
+          continue;
+        }
+
+        const { game } = games[override.index];
+        Object.assign(game, { score1: override.score1, score2: override.score2, overtimes: 0 });
+
+        played = step.type === 'standings' ? playStep(step) : played;
+        played.output();
+        continue;
+      }
+
+      console.log(t('interactive.invalidAnswer'));
+    }
+  }
+
+  const run = replay().play();
+  outputMedals(run.eliminationResults, translator);
+
+  return run;
+}
+
+export default runInteractive;
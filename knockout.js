@@ -0,0 +1,183 @@
+'use strict';
+
+import { shuffle } from './random.js';
+
+/**
+ * Pairs every team from the first pot with a team from the second pot, optionally so that no two teams from the same group meet.
+ * Opponents are drawn in random order, and the draw backtracks when the remaining teams can't be paired.
+ *
+ * @param {Array<object>} pot1 - Teams from the first pot, each with a `group` property.
+ * @param {Array<object>} pot2 - Teams from the second pot, each with a `group` property.
+ * @param {function(): number} random - The random number generator used for the draw.
+ * @param {boolean} avoidSameGroup - Whether teams from the same group can't be paired.
+ * @returns {Array<Array<object>>|null} The drawn pairs, or `null` if there is no valid draw.
+ */
+const drawPairs = (pot1, pot2, random, avoidSameGroup) => {
+  if (pot1.length === 0) {
+    return [];
+  }
+
+  const [team, ...rest] = pot1;
+
+  for (const opponent of shuffle(pot2, random)) {
+    if (avoidSameGroup && opponent.group === team.group) {
+      continue;
+    }
+
+    const pairs = drawPairs(rest, pot2.filter(t => t !== opponent), random, avoidSameGroup);
+    if (pairs) {
+      return [[team, opponent], ...pairs];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Divides the advancing teams into pots by their overall rank, as defined by the format's draw seeding.
+ *
+ * @param {Array<object>} teams - The advancing teams, ordered from the best ranked to the worst.
+ * @param {object} seeding - The format's `seeding`, with `pots` mapping pot names to the first and last overall rank in the pot.
+ * @returns {object} An object where keys are pot names and values are arrays of team objects.
+ *
+ * @example
+ * getPots(teams, { pots: { D: [1, 2], E: [3, 4], F: [5, 6], G: [7, 8] } });
+ * // { D: [teams[0], teams[1]], E: [teams[2], teams[3]], F: [teams[4], teams[5]], G: [teams[6], teams[7]] }
+ */
+export const getPots = (teams, seeding) => Object.fromEntries(
+  Object.entries(seeding.pots).map(([pot, [first, last]]) => [pot, teams.slice(first - 1, last)])
+);
+
+/**
+ * Finds the team for a slot of a fixed bracket. A slot is either a group position followed by a group name
+ * (e.g. "1A" for the winner of group A), or "#" followed by an overall rank among the advancing teams (e.g. "#3").
+ *
+ * @param {string} slot - The slot from the format's `seeding.bracket`.
+ * @param {Array<object>} teams - The advancing teams, ordered from the best ranked to the worst.
+ * @returns {object} The team object for the slot.
+ * @throws {Error} If no advancing team matches the slot.
+ */
+const getTeamForSlot = (slot, teams) => {
+  const team = slot.startsWith('#')
+    ? teams[Number(slot.slice(1)) - 1]
+    : teams.find(team => `${team.position}${team.group}` === slot);
+
+  if (!team) {
+    throw new Error(`No advancing team for bracket slot "${slot}"`);
+  }
+
+  return team;
+}
+
+/**
+ * Creates the first round of the elimination stage, as defined by the format's `seeding`.
+ *
+ * With `type: "fixed"`, matchups are taken from the `bracket` slots (see `getTeamForSlot`).
+ *
+ * With `type: "draw"`, teams are divided into pots (see `getPots`), and each of the `draws` pairs the teams of two pots,
+ * optionally so that teams from the same group can't meet (see `drawPairs`). The drawn matchups of every draw are shuffled
+ * and interleaved, so that each half of the bracket gets the same number of matchups from every draw. For the Olympic format,
+ * teams from pot D are drawn against pot G and pot E against pot F, and each semifinal half contains one D/G and one E/F quarterfinal.
+ *
+ * @param {Array} teams - An array of advancing team objects, ordered from the best ranked to the worst.
+ * Each team object should have `group` and `position` properties.
+ * @param {object} format - The tournament format, see formats/olympic.json.
+ * @param {function(): number} random - The random number generator used for the draw.
+ * @returns {Array} An array of arrays representing the first round matchups, in bracket order. Each inner array contains two team objects.
+ * Winners of the first and second matchup meet in the next round, then winners of the third and fourth, and so on.
+ * @throws {Error} If the teams can't be drawn without a same-group matchup.
+ */
+export const getEliminationMatches = (teams, format, random) => {
+  const { seeding } = format;
+
+  if (seeding.type === 'fixed') {
+    return seeding.bracket.map(match => match.map(slot => getTeamForSlot(slot, teams)));
+  }
+
+  const pots = getPots(teams, seeding);
+  const draws = seeding.draws.map(([pot1, pot2]) => {
+    const pairs = drawPairs(pots[pot1], pots[pot2], random, seeding.avoidSameGroup);
+
+    if (!pairs) {
+      throw new Error(`Pots ${pot1} and ${pot2} can't be drawn without two teams from the same group meeting`);
+    }
+
+    return shuffle(pairs, random);
+  });
+
+  return draws[0].flatMap((_, i) => draws.map(pairs => pairs[i]));
+}
+
+/**
+ * Gets the name of an elimination stage from the number of teams playing in it.
+ *
+ * @param {number} teamCount - The number of teams in the stage.
+ * @returns {string} `finals`, `semifinals`, `quarterfinals` or `roundOf<teamCount>` for earlier stages.
+ */
+export const getStageName = (teamCount) => ({ 2: 'finals', 4: 'semifinals', 8: 'quarterfinals' })[teamCount] ?? `roundOf${teamCount}`;
+
+/**
+ * Gets the names of all elimination stages for a bracket, in the order they are played, without the bronze match.
+ *
+ * @param {number} bracketSize - The number of teams in the bracket, a power of two.
+ * @returns {Array<string>} The stage names, e.g. `['roundOf16', 'quarterfinals', 'semifinals', 'finals']`.
+ */
+export const getStageNames = (bracketSize) => {
+  const stages = [];
+
+  for (let teamCount = bracketSize; teamCount >= 2; teamCount /= 2) {
+    stages.push(getStageName(teamCount));
+  }
+
+  return stages;
+}
+
+/**
+ * Simulates the elimination rounds of a tournament for a bracket of any power of two, up to the final and the bronze match.
+ * Winners of consecutive matchups meet in the next stage, and the semifinal losers play for the bronze medal.
+ *
+ * @param {Array<Array<object>>} bracket - An array of matches representing the first elimination round, in bracket order.
+ * Each match is an array containing two team objects.
+ * @param {function(object, object, string): object} playMatch - Plays a match between two teams in a stage (e.g. `quarterfinals`)
+ * and returns the result, see `simulateMatch`.
+ * @returns {object} An object containing the results of each stage of the elimination process, keyed by stage name (see `getStageName`),
+ * in the order they were played. Each stage is an array of objects with the `match` and the `result` for each game. For an 8-team bracket:
+ *   - `quarterfinals`: An array of objects with the match and the result for each quarterfinal.
+ *   - `semifinals`: An array of objects with the match and the result for each semifinal.
+ *   - `finals`: An array of objects with the match and the result for the final.
+ *   - `bronze`: An array of objects with the match and the result for the bronze match.
+ */
+export const getEliminationResults = (bracket, playMatch) => {
+  const results = {};
+  let matches = bracket;
+  let bronzeMatch;
+
+  while (matches.length > 0) {
+    const [winners, losers] = [[], []];
+    const stage = getStageName(matches.length * 2);
+
+    results[stage] = matches.map(match => {
+      const result = playMatch(match[0], match[1], stage);
+      const [winner, loser] = result.team1 > result.team2 ? match : [match[1], match[0]];
+      winners.push(winner);
+      losers.push(loser);
+
+      return { match, result };
+    });
+
+    if (matches.length === 2) {
+      bronzeMatch = losers;
+    }
+
+    matches = [];
+    for (let i = 0; i < winners.length - 1; i += 2) {
+      matches.push([winners[i], winners[i + 1]]);
+    }
+  }
+
+  if (bronzeMatch) {
+    results.bronze = [{ match: bronzeMatch, result: playMatch(bronzeMatch[0], bronzeMatch[1], 'bronze') }];
+  }
+
+  return results;
+}
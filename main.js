@@ -1,426 +1,400 @@
 'use strict';
 
 import fs from 'fs';
+import { createInterface } from 'readline';
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import { FIT_METRICS, fitModelConfig, runBacktest } from './backtest.js';
+import { createHtmlReport } from './createHtmlReport.js';
+import { createProbabilityReport, createReport } from './createReport.js';
+import { createTranslator, LANGUAGES } from './i18n.js';
+import runInteractive from './interactive.js';
+import { createModelConfig, getModelConfigKeys } from './modelConfig.js';
+import outputBacktest from './outputBacktest.js';
+import outputProbabilities from './outputProbabilities.js';
 import outputResults from './outputResults.js';
-
-const groups = JSON.parse(fs.readFileSync('groups.json'));
-const exhibitions = JSON.parse(fs.readFileSync('exhibitions.json'));
-
-const getInitialForms = (exhibitions) => {
-  const teamRankings = Object.values(groups).reduce((acc, groupTeams) => [
-    ...acc,
-    ...groupTeams.map(groupTeam => ({ ...groupTeam, form: 0 }))
-  ], [])
-
-  for (const team in exhibitions) {
-    const homeTeam = teamRankings.find(teamRanking => teamRanking.ISOCode === team)
-    const rankHome = homeTeam.FIBARanking
-
-    exhibitions[team].forEach(match => {
-      const awayTeam = teamRankings.find(teamRanking => teamRanking.ISOCode === match.Opponent);
-      const rankAway = awayTeam.FIBARanking
-      const [score1, score2] = match.Result.split('-').map(Number);
-
-      const pointDiff = expectedPointDiff(rankHome, rankAway, score1, score2);
-      rankHome < rankAway ? homeTeam.form += pointDiff : awayTeam.form += pointDiff;
-    });
-  }
-
-  const form = Object.values(teamRankings).reduce((acc, team) => {
-    acc[team.ISOCode] = team.form;
-    return acc;
-  }, {});
-
-  return form;
-}
+import outputScenarios from './outputScenarios.js';
+import { generateSeed, parseSeed } from './random.js';
+import { getScenarios } from './scenarios.js';
+import { createServer } from './server.js';
+import { MODELS, runMonteCarlo, Tournament } from './tournament.js';
+import validateData from './validateData.js';
+
+export { createModel, MODELS, runMonteCarlo, Tournament } from './tournament.js';
+export { fitModelConfig, runBacktest } from './backtest.js';
+export { createModelConfig, DEFAULT_MODEL_CONFIG, getModelConfigKeys } from './modelConfig.js';
+export { createFormModel, expectedPointDiff } from './formModel.js';
+export { createEloModel } from './eloModel.js';
+export { createRoundRobin, getAdvancingTeams, getRoundRobinRounds, rankTeams } from './groupStage.js';
+export { getEliminationMatches, getEliminationResults, getPots, getStageNames } from './knockout.js';
+export { getScenarios } from './scenarios.js';
+export { simulateMatch } from './match.js';
+export { createRandom } from './random.js';
+export { default as validateData } from './validateData.js';
+
+const OUTPUT_FORMATS = ['text', 'json', 'html'];
+
+// The command line options, for parseArgs
+const OPTIONS = {
+  seed: { type: 'string' },
+  runs: { type: 'string' },
+  tournament: { type: 'string', default: 'formats/olympic.json' },
+  groups: { type: 'string', default: 'groups.json' },
+  exhibitions: { type: 'string', default: 'exhibitions.json' },
+  results: { type: 'string' },
+  model: { type: 'string', default: 'form' },
+  'model-config': { type: 'string' },
+  format: { type: 'string', default: 'text' },
+  out: { type: 'string' },
+  lang: { type: 'string', default: 'sr' },
+  detailed: { type: 'boolean', default: false },
+  scenarios: { type: 'boolean', default: false },
+  interactive: { type: 'boolean', default: false },
+  backtest: { type: 'string' },
+  fit: { type: 'string' },
+  trials: { type: 'string', default: '200' },
+  'fit-metric': { type: 'string', default: 'logLoss' },
+  serve: { type: 'boolean', default: false },
+  port: { type: 'string', default: '3000' }
+};
 
 /**
- * Gets the average number of points from the exhibition stage for two teams.
- * This score will be used as a base score for the match.
- * 
- * @param {string} team1 - The ISO code of the first team.
- * @param {string} team2 - The ISO code of the second team.
- * @returns {number} The base score calculated from the teams' exhibition points.
+ * Parses a command line option that has to be a positive integer.
+ *
+ * @param {string} value - The raw option value.
+ * @param {string} name - The option name, used in the error message.
+ * @returns {number} The parsed integer.
+ * @throws {Error} If the value is not a positive integer.
  */
-const getBaseScore = (team1, team2) => {
-  const getTotalPointsForTeam = (team) => {
-    return exhibitions[team].reduce((acc, match) => {
-      const pointsInMatch = match.Result.split('-').map(Number).reduce((sum, x) => sum + x);
-      return acc + Math.floor(pointsInMatch / 2);
-    }, 0);
-  };
+const parsePositiveInteger = (value, name) => {
+  if (!/^\d+$/.test(value) || Number(value) === 0) {
+    throw new Error(`Invalid --${name} "${value}", expected a positive integer`);
+  }
 
-  // Subtract a constant amount since defenses will be tougher in the main stage
-  return Math.floor((getTotalPointsForTeam(team1) + getTotalPointsForTeam(team2)) / 4) - 6;
+  return Number(value);
 }
 
 /**
- * Calculates the adjusted point difference based on the ranks of the home and away teams,
- * taking into account the actual score and the expected point difference.
- *
- * @param {number} rankHome - The rank of the home team.
- * @param {number} rankAway - The rank of the away team.
- * @param {number} score1 - The score of the first team (home if higher ranked, otherwise away).
- * @param {number} score2 - The score of the second team (home if lower ranked, otherwise away).
- * @returns {number} The adjusted point difference, considering the rank difference and actual score.
- * If the rank difference is greater than 10 and the actual margin is less than expected, returns 0.
- * This is because favorites beating teams by low margin doesn't affect the outcome afterwards,
- * but affects when they beat underdogs by higher margin.
- *
- * @example
- * // Rank difference ≤ 10, with a close match
- * expectedPointDiff(5, 7, 100, 98);
- * // returns adjusted margin based on the rank difference and actual score
- *
- * @example
- * // Rank difference > 10, home team wins by a smaller margin than expected
- * expectedPointDiff(10, 30, 80, 70);
- * // returns 0 (no reward, no penalty)
+ * Reads the command line options.
  *
- * @example
- * // Rank difference > 10, home team wins by a larger margin than expected
- * expectedPointDiff(10, 30, 90, 60);
- * // returns adjusted positive margin (reward for larger margin)
+ * @returns {object} The parsed options.
+ *   - `seed`: The seed for the random number generator, a new one is generated if `--seed` is not given.
+ *   - `runs`: The number of tournaments to simulate in Monte Carlo mode, `undefined` for a single run.
+ *   - `tournament`: Path to the tournament format definition, see formats/olympic.json.
+ *   - `groups`: Path to the groups file.
+ *   - `exhibitions`: Path to the exhibitions file.
+ *   - `results`: Path to a file with known results that games are pinned to, `undefined` to simulate every game.
+ *   - `model`: The team strength model, `form` (default) or `elo`, see `createModel`.
+ *   - `modelConfig`: Path to a model config file with the weights and random ranges of the model, `undefined` for the defaults.
+ *   - `format`: The output format, `text` (default) for the console report, `json` for a report described by report.schema.json,
+ *     or `html` for a self-contained page, see `createHtmlReport`.
+ *   - `out`: Path of the file the JSON or HTML report is written to, `undefined` to write it to the console.
+ *   - `lang`: The language of the console report, `sr` (default) or `en`.
+ *   - `detailed`: Whether matches are simulated quarter by quarter, with box scores.
+ *   - `scenarios`: Whether to work out what every team needs from the remaining group games instead of simulating, see `getScenarios`.
+ *   - `backtest`: Path to a file with real results to backtest the model on instead of simulating, see `runBacktest`.
+ *   - `fit`: Path of the file the model config fitted to the backtest results is written to, `undefined` not to fit.
+ *   - `trials`: The number of model configs tried by the fit, 200 by default.
+ *   - `fitMetric`: The backtest metric the fit minimizes, `logLoss` by default, see `fitModelConfig`.
+ *   - `interactive`: Whether to step through a single tournament in the console, see `runInteractive`.
+ *   - `serve`: Whether to start the HTTP API instead of simulating once, see server.js.
+ *   - `port`: The port of the HTTP API, 3000 by default.
  */
-function expectedPointDiff(rankHome, rankAway, score1, score2) {
-  const actualPointDiff = rankHome < rankAway ? score1 - score2 : score2 - score1;
-  // Calculate the rank difference
-  const rankDiff = Math.abs(rankHome - rankAway);
+const getOptions = () => {
+  const { values } = parseArgs({ options: OPTIONS });
 
-  // For small rank differences
-  const baseDiff = 4;
+  if (!MODELS.includes(values.model)) {
+    throw new Error(`Invalid --model "${values.model}", expected one of: ${MODELS.join(', ')}`);
+  }
 
-  const maxDiff = 30;
+  if (!OUTPUT_FORMATS.includes(values.format)) {
+    throw new Error(`Invalid --format "${values.format}", expected one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
 
-  // Nonlinear scaling factor
-  const scalingFactor = 1.5;
+  if (!LANGUAGES.includes(values.lang)) {
+    throw new Error(`Invalid --lang "${values.lang}", expected one of: ${LANGUAGES.join(', ')}`);
+  }
 
-  // Point difference calculated using a power function
-  const pointDiff = baseDiff + (maxDiff - baseDiff) * Math.pow(rankDiff / 30, scalingFactor);
+  if (values.out !== undefined && values.format === 'text') {
+    throw new Error('--out can only be used with --format json or html');
+  }
 
-  let margin;
+  if (values.format === 'html' && (values.scenarios || values.backtest !== undefined)) {
+    throw new Error('--format html can only be used to simulate tournaments, not with --scenarios or --backtest');
+  }
 
-  // If the rank difference is greater than 10, apply special rules
-  if (rankDiff > 10) {
-    if (actualPointDiff >= margin) {
-      // Reward the higher-ranked team if they won by a bigger margin
-      margin = actualPointDiff / 3;
-      // Else: Do nothing, margin remains unchanged (no penalty)
-    } else {
-      return 0
-    }
-  } else {
-    // In case of small rank difference, use the normal calculation
-    margin = (actualPointDiff - pointDiff) / 3;
+  if (values.scenarios && values.runs !== undefined) {
+    throw new Error('--scenarios can only be used without --runs');
+  }
+
+  if (values.backtest !== undefined && (values.runs !== undefined || values.results !== undefined || values.scenarios)) {
+    throw new Error('--backtest can only be used without --runs, --results and --scenarios');
+  }
+
+  if (values.interactive && (values.runs !== undefined || values.scenarios || values.backtest !== undefined || values.serve || values.format !== 'text')) {
+    throw new Error('--interactive can only be used for a single run with --format text');
   }
 
-  return Math.round(margin)
+  if (values.fit !== undefined && values.backtest === undefined) {
+    throw new Error('--fit can only be used with --backtest');
+  }
+
+  if (!FIT_METRICS.includes(values['fit-metric'])) {
+    throw new Error(`Invalid --fit-metric "${values['fit-metric']}", expected one of: ${FIT_METRICS.join(', ')}`);
+  }
+
+  return {
+    seed: values.seed === undefined ? generateSeed() : parseSeed(values.seed),
+    runs: values.runs === undefined ? undefined : parsePositiveInteger(values.runs, 'runs'),
+    tournament: values.tournament,
+    groups: values.groups,
+    exhibitions: values.exhibitions,
+    results: values.results,
+    model: values.model,
+    modelConfig: values['model-config'],
+    format: values.format,
+    out: values.out,
+    lang: values.lang,
+    detailed: values.detailed,
+    scenarios: values.scenarios,
+    interactive: values.interactive,
+    backtest: values.backtest,
+    fit: values.fit,
+    trials: parsePositiveInteger(values.trials, 'trials'),
+    fitMetric: values['fit-metric'],
+    serve: values.serve,
+    port: parsePositiveInteger(values.port, 'port')
+  };
 }
 
-const teamForm = getInitialForms(exhibitions);
 
 /**
- * Updates the form of two teams based on the result of a match.
- * The form is updated using a weighted average, where the form factor determines
- * the influence of the current match's result on the team's overall form.
+ * Builds the command that replays a simulation: the seed and model it used, and every option that differs from its default.
  *
- * @param {object} team1 - The first team object, representing the home or away team.
- * @param {object} team2 - The second team object, representing the opponent.
- * @param {number} score1 - The score of the first team (team1).
- * @param {number} score2 - The score of the second team (team2).
+ * @param {object} options - The command line options, see `getOptions`.
+ * @returns {string} The command.
+ * @example
+ * getReplayCommand({ ...options, seed: 42, lang: 'en', runs: 1000 });
+ * // 'node main.js --seed 42 --model form --runs 1000 --lang en'
  */
-const updateTeamForm = (team1, team2, score1, score2) => {
-  const formFactor = 0.07;
-  teamForm[team1.ISOCode] = (teamForm[team1.ISOCode] * (1 - formFactor)) + ((score1 - score2) * formFactor);
-  teamForm[team2.ISOCode] = (teamForm[team2.ISOCode] * (1 - formFactor)) + ((score2 - score1) * formFactor);
-}
+const getReplayCommand = (options) => [
+  `node main.js --seed ${options.seed} --model ${options.model}`,
+  options.tournament !== OPTIONS.tournament.default && `--tournament ${options.tournament}`,
+  options.groups !== OPTIONS.groups.default && `--groups ${options.groups}`,
+  options.exhibitions !== OPTIONS.exhibitions.default && `--exhibitions ${options.exhibitions}`,
+  options.modelConfig !== undefined && `--model-config ${options.modelConfig}`,
+  options.results !== undefined && `--results ${options.results}`,
+  options.runs !== undefined && `--runs ${options.runs}`,
+  options.detailed && '--detailed',
+  options.lang !== OPTIONS.lang.default && `--lang ${options.lang}`,
+  options.format !== OPTIONS.format.default && `--format ${options.format}`,
+  options.out !== undefined && `--out ${options.out}`
+].filter(Boolean).join(' ');
 
 /**
- * Simulates a match between two teams and returns the result.
- * 
- * The function calculates the match result based on the teams' FIFA rankings, current form, 
- * and a random factor. The resulting scores are rounded to the nearest integer and used 
- * to update the teams' form. The match result is logged to the console.
- *
- * @param {object} team1 - The first team participating in the match.
- * @param {object} team2 - The second team participating in the match.
- * @param {string} team1.ISOCode - The ISO code of the first team.
- * @param {number} team1.FIBARanking - The FIFA ranking of the first team.
- * @param {string} team2.ISOCode - The ISO code of the second team.
- * @param {number} team2.FIBARanking - The FIFA ranking of the second team.
- * @returns {object} An object containing the simulated scores for both teams.
- * @returns {number} return.team1 - The score for the first team.
- * @returns {number} return.team2 - The score for the second team.
+ * Reads and parses a JSON file.
  *
- * @example
- * const teamA = { ISOCode: 'CAN', FIBARanking: 10 };
- * const teamB = { ISOCode: 'USA', FIBARanking: 20 };
- * const result = simulateMatch(teamA, teamB);
- * 
- * // Logs the simulated match result and updates team forms
- * Result will be { team1: 88, team2: 82 }
+ * @param {string} path - The path of the file.
+ * @returns {*} The parsed contents.
  */
-const simulateMatch = (team1, team2) => {
-  const rankDiff = (team2.FIBARanking - team1.FIBARanking) * 0.65;
-  const formDiff = (teamForm[team1.ISOCode] - teamForm[team2.ISOCode]) * 0.35;
-  const baseScore = getBaseScore(team1.ISOCode, team2.ISOCode);
-  const randomFactor = Math.random() * 10 - 4;
-  const score1 = Math.floor(Math.random() * 15) + baseScore + rankDiff + formDiff + randomFactor;
-  const score2 = Math.floor(Math.random() * 15) + baseScore - rankDiff - formDiff - randomFactor;
-  const result = { team1: Math.round(score1), team2: Math.round(score2) };
-
-  updateTeamForm(team1, team2, result.team1, result.team2);
-
-  return result;
-}
+const readJson = (path) => JSON.parse(fs.readFileSync(path));
 
 /**
- * Simulates the group phase of a tournament using a round-robin format,
- * where each team plays against every other team in the group in predefined rounds.
- *
- * @param {object} groups - An object where keys are group names and values are arrays of team objects.
- * Each team object should have a `Team` property representing the team's name or identifier.
- * @returns {object} An object with group names as keys and arrays of match results as values.
- * Each match result is an object with properties `team1`, `team2`, `score1`, and `score2`.
+ * Creates the function that simulates the tournaments requested from the HTTP server, with the groups and exhibitions
+ * from the request and the tournament format given with `--tournament`. The data is validated first, like on the command line.
  *
- * @example
- * const groups = {
- *   "A": [
- *     { Team: "Kanada", ISOCode: "CAN", FIBARanking: 7 },
- *     { Team: "Australija", ISOCode: "AUS", FIBARanking: 5 },
- *     { Team: "Grčka", ISOCode: "GRE", FIBARanking: 14 },
- *     { Team: "Španija", ISOCode: "ESP", FIBARanking: 2 }
- *   ]
- * };
- * 
- * const results = createRoundRobin(groups);
- * 
- * results = {
- *   "A": [
- *     { team1: "Kanada", team2: "Australija", score1: 78, score2: 87 },
- *     { team1: "Grčka", team2: "Španija", score1: 73, score2: 91 },
- *     { team1: "Kanada", team2: "Grčka", score1: 85, score2: 66 },
- *     { team1: "Australija", team2: "Španija", score1: 80, score2: 88 },
- *     { team1: "Kanada", team2: "Španija", score1: 75, score2: 85 },
- *     { team1: "Australija", team2: "Grčka", score1: 95, score2: 77 }
- *   ]
- * }
+ * @param {object} format - The tournament format.
+ * @param {object} options - The command line options, see `getOptions`.
+ * @param {object} modelConfigValues - The contents of the `--model-config` file, empty without one, see `createModelConfig`.
+ * @returns {function(object): object} The simulation, taking the request settings (`groups`, `exhibitions`, `seed`, `model`
+ * and `runs`, see `createServer`) and returning the `problems` found by `validateData` if the data is invalid, or the keys of the model
+ * config the requested model doesn't read (see `getModelConfigKeys`), otherwise the `report`
+ * of a single run and, with `runs`, the `probabilityReport` (`null` otherwise). The single run is the same as the first Monte Carlo run.
  */
-const createRoundRobin = (groups) => {
-  const results = {};
-  for (const group in groups) {
-    results[group] = [];
-    const teams = groups[group];
-
-    const rounds = [
-      [[teams[0], teams[1]], [teams[2], teams[3]]],
-      [[teams[0], teams[2]], [teams[1], teams[3]]],
-      [[teams[0], teams[3]], [teams[1], teams[2]]],
-    ]
-
-    for (const round of rounds) {
-      for (const match of round) {
-        const matchResult = simulateMatch(match[0], match[1]);
-
-        results[group].push({
-          team1: match[0].Team,
-          team2: match[1].Team,
-          score1: matchResult.team1,
-          score2: matchResult.team2
-        });
-      }
-    }
+const createSimulator = (format, options, modelConfigValues) => ({ groups, exhibitions, seed, model, runs }) => {
+  const problems = validateData(groups, exhibitions, format, { groups: 'groups', exhibitions: 'exhibitions', tournament: options.tournament });
+  const unusedKeys = Object.keys(modelConfigValues).filter(key => !getModelConfigKeys(model).includes(key));
+  unusedKeys.forEach(key => problems.push({ file: options.modelConfig, team: null, field: key, message: `Not used by the ${model} model` }));
+  if (problems.length > 0) {
+    return { problems };
   }
 
-  return results;
+  const modelConfig = createModelConfig(modelConfigValues, model);
+  const tournamentOptions = { format, seed, model, modelConfig, detailed: options.detailed };
+  const reportSettings = { seed, model, tournament: format.name, runs };
+
+  return {
+    report: createReport(new Tournament(groups, exhibitions, tournamentOptions).play(), groups, reportSettings),
+    probabilityReport: runs === undefined
+      ? null
+      : createProbabilityReport(runMonteCarlo(groups, exhibitions, tournamentOptions, runs), reportSettings)
+  };
 }
 
 /**
- * Ranks teams within each group based on their performance in the matches.
- * Teams are ranked primarily by points, then by points difference (scored - allowed), and finally by FIBA ranking if needed.
- * Points are awarded based on match results: 2 points for a win, no points for a loss. In case of a tie, the higher-ranked team is awarded win.
- *
- * @param {object} groups - An object where keys are group names and values are arrays of team objects.
- * Each team object should have a `Team` property representing the team's name or identifier and a `FIBARanking` property for ranking.
- * @param {object} results - An object where keys are group names and values are arrays of match result objects.
- * Each match result object should have `team1`, `team2`, `score1`, and `score2` properties representing the match details.
- * @returns {object} An object with group names as keys and arrays of ranked team objects as values.
- * Each ranked team object includes properties such as `Team`, `points`, `scored`, `allowed`, `wins`, and `losses`.
+ * Writes a report to a file, or to the console.
  *
- * @example
- * const groups = {
- *   "GroupA": [
- *     { Team: "Canada", FIBARanking: 1 },
- *     { Team: "USA", FIBARanking: 2 },
- *     { Team: "Japan", FIBARanking: 3 },
- *     { Team: "Australia", FIBARanking: 4 }
- *   ]
- * };
- * const results = {
- *   "GroupA": [
- *     { team1: 'Kanada', team2: 'Australija', score1: 74, score2: 83 },
- *     { team1: 'Grčka', team2: 'Španija', score1: 71, score2: 100 },
- *     { team1: 'Kanada', team2: 'Grčka', score1: 84, score2: 77 },
- *     { team1: 'Australija', team2: 'Španija', score1: 80, score2: 78 },
- *     { team1: 'Kanada', team2: 'Španija', score1: 77, score2: 83 },
- *     { team1: 'Australija', team2: 'Grčka', score1: 92, score2: 69 }
- *   ]
- * };
- * 
- * const rankings = rankTeams(groups, results);
- * 
- * rankings = {
- *   "GroupA": [
- *     {
- *       Team: 'Španija',
- *       ISOCode: 'ESP',
- *       FIBARanking: 2,
- *       points: 6,
- *       scored: 269,
- *       allowed: 224,
- *       wins: 3,
- *       losses: 0
-       }, ...
- *   ]
- * }
+ * @param {string} content - The serialized report.
+ * @param {string} [out] - The path of the file given with `--out`, `undefined` for the console.
  */
-const rankTeams = (groups, results) => {
-  const rankings = {};
-  for (const group in groups) {
-    const teams = groups[group].map(team => ({
-      ...team,
-      points: 0,
-      scored: 0,
-      allowed: 0,
-      wins: 0,
-      losses: 0,
-    }));
-
-    results[group].forEach(match => {
-      const team1 = teams.find(t => t.Team === match.team1);
-      const team2 = teams.find(t => t.Team === match.team2);
-      team1.scored += match.score1;
-      team1.allowed += match.score2;
-      team2.scored += match.score2;
-      team2.allowed += match.score1;
-
-      // No draws, if same score, add 1 point to higher ranked team
-      if (team1.scored === team2.scored) {
-        team1.FIBARanking < team2.FIBARanking ? team1.scored += 1 : team2.scored += 1;
-      }
-
-      const processTeamOneWin = () => {
-        team1.points += 2;
-        team1.wins += 1;
-        team2.losses += 1;
-      }
-
-      const processTeamTwoWin = () => {
-        team2.points += 2;
-        team2.wins += 1;
-        team1.losses += 1;
-      }
-
-     match.score1 > match.score2 ? processTeamOneWin() : processTeamTwoWin();
-    });
-
-    teams.sort((a, b) => b.points - a.points || (b.scored - b.allowed) - (a.scored - a.allowed));
-    rankings[group] = teams;
-  }
-
-  return rankings;
+const writeOutput = (content, out) => {
+  out === undefined ? console.log(content) : fs.writeFileSync(out, `${content}\n`);
 }
 
 /**
- * Ranks teams for the elimination stage based on their performance in the group stage.
- * Teams are ranked first by their points, then by goal difference (scored - allowed), and finally by their group position.
- * The function selects the top 8 teams for the elimination stage, consisting of the top two teams from each group, and two out of
- * three third teams.
+ * Writes a JSON report to a file, or to the console.
  *
- * @param {object} rankings - An object where keys are group names (e.g., "A", "B", "C") and values are arrays of ranked team objects.
- * Each ranked team object includes properties such as `Team`, `points`, `scored`, `allowed`, `wins`, and `losses`.
- * @returns {Array} An array of the top 8 ranked teams, each represented by a team object.
+ * @param {object} report - The report, see `createReport` (or `getScenarios` with `--scenarios`, `runBacktest` with `--backtest`).
+ * @param {string} [out] - The path of the file given with `--out`, `undefined` for the console.
  */
-const getTopEightTeams = (rankings) => {
-  const rankGroups = (teams) => teams.sort((a, b) => b.points - a.points || (b.scored - b.allowed) - (a.scored - a.allowed));
-
-  const firstPlaceTeams = rankGroups([rankings.A[0], rankings.B[0], rankings.C[0]]);
-  const secondPlaceTeams = rankGroups([rankings.A[1], rankings.B[1], rankings.C[1]]);
-  const thirdPlaceTeams = rankGroups([rankings.A[2], rankings.B[2], rankings.C[2]]);
-
-  return [...firstPlaceTeams, ...secondPlaceTeams, ...thirdPlaceTeams].slice(0, 8);
-}
+const writeReport = (report, out) => writeOutput(JSON.stringify(report, null, 2), out);
 
 /**
- * Draws the matchups for the elimination round of a tournament based on the provided teams.
- * Teams are divided into pots and then drawn into quarterfinal matchups. Each pot contains two teams,
- * and each quarterfinal matchup is created by pairing one team from the current pot with a team from the corresponding opposite pot.
- *
- * @param {Array} teams - An array of team objects representing 8 teams advancing to the elimination round.
- * @returns {Array} An array of arrays representing the quarterfinal matchups. Each inner array contains two team objects.
+ * The command line interface: reads the options and the data, and prints or exports the simulated tournament.
  */
-const getEliminationMatches = (teams) => {
-  const pots = [[], [], [], []];
+const main = () => {
+  let options;
+  try {
+    options = getOptions();
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
 
-  for (let i = 0; i < teams.length; i++) {
-    pots[Math.floor(i / 2)].push(teams[i]);
+  const { seed, runs } = options;
+  const translator = createTranslator(options.lang);
+  const problems = [];
+  const reportProblems = () => {
+    console.error(translator.t('invalidData', { count: problems.length }));
+    problems.forEach(({ file, team, field, message }) => console.error(`    ${file} - ${team ?? '-'} - ${field}: ${message}`));
+    process.exitCode = 1;
+  };
+  // Files that can't be read or parsed are reported like invalid data
+  const readDataFile = (path) => {
+    try {
+      return readJson(path);
+    } catch (error) {
+      problems.push({ file: path, team: null, field: 'file', message: error.message });
+    }
+  };
+
+  const format = readDataFile(options.tournament);
+  const modelConfigValues = options.modelConfig === undefined ? {} : readDataFile(options.modelConfig);
+  let modelConfig;
+  if (modelConfigValues !== undefined) {
+    try {
+      // The server checks the config against the model of every request
+      modelConfig = createModelConfig(modelConfigValues, options.serve ? 'form' : options.model);
+    } catch (error) {
+      problems.push({ file: options.modelConfig, team: null, field: 'file', message: error.message });
+    }
   }
 
-  const quarterfinals = [];
+  if (options.serve) {
+    if (problems.length > 0) {
+      reportProblems();
+      return;
+    }
 
-  for (let i = 0; i < 4; i++) {
-    quarterfinals.push([pots[i][0], pots[3 - i][1]]);
+    createServer({ simulate: createSimulator(format, options, modelConfigValues), models: MODELS }).listen(options.port, () => {
+      console.log(translator.t('serverListening', { url: `http://localhost:${options.port}` }));
+    });
+    return;
   }
 
-  return quarterfinals;
-}
+  const groups = readDataFile(options.groups);
+  const exhibitions = readDataFile(options.exhibitions);
+  // Real results are checked like pinned ones, so the backtest file takes the place of the results file
+  const resultsFile = options.backtest ?? options.results;
+  const results = resultsFile === undefined ? undefined : readDataFile(resultsFile);
+  const command = getReplayCommand(options);
 
-/**
- * Simulates the elimination rounds of a tournament, including quarterfinals, semifinals, finals, and a bronze match.
- * The function processes match results for each stage and determines the winners and losers for each round.
- *
- * @param {Array<Array<object>>} quarterfinals - An array of matches representing the quarterfinals. Each match is an array containing two team objects.
- * Each team object should have properties used by the `simulateMatch` function to determine the outcome.
- * @returns {object} An object containing the results of each stage of the elimination process:
- *   - `quarterfinals`: An array of objects with the match and the result for each quarterfinal.
- *   - `semifinals`: An array of objects with the match and the result for each semifinal.
- *   - `finals`: An array of objects with the match and the result for the final.
- *   - `bronze`: An array of objects with the match and the result for the bronze match.
- */
-const getEliminationResults = (quarterfinals) => {
-  const [semifinals, bronzeMatch, finals] = [[], [], []];
-  const results = { quarterfinals: [], semifinals: [], finals: [], bronze: [] };
-
-  quarterfinals.forEach(match => {
-    const result = simulateMatch(match[0], match[1]);
-    results.quarterfinals.push({ match, result });
-    semifinals.push(result.team1 > result.team2 ? match[0] : match[1]);
-  });
-
-  for (let i = 0; i < 2; i++) {
-    const result = simulateMatch(semifinals[i*2], semifinals[i*2 + 1]);
-    results.semifinals.push({ match: [semifinals[i*2], semifinals[i*2 + 1]], result });
-    finals.push(result.team1 > result.team2 ? semifinals[i*2] : semifinals[i*2 + 1]);
-    bronzeMatch.push(result.team1 > result.team2 ? semifinals[i*2 + 1] : semifinals[i*2]);
+  // Only files that could be read are validated
+  if (problems.length === 0) {
+    problems.push(...validateData(groups, exhibitions, format, { ...options, results: resultsFile }, results));
+  }
+  if (problems.length > 0) {
+    reportProblems();
+    return;
   }
 
-  const finalResult = simulateMatch(finals[0], finals[1]);
-  results.finals.push({ match: finals, result: finalResult });
+  if (options.scenarios) {
+    const scenarios = getScenarios(groups, format, results);
 
-  const bronzeResult = simulateMatch(bronzeMatch[0], bronzeMatch[1]);
-  results.bronze.push({ match: bronzeMatch, result: bronzeResult });
+    options.format === 'json' ? writeReport(scenarios, options.out) : outputScenarios(scenarios, translator);
+    return;
+  }
 
-  return results;
-}
+  if (options.backtest !== undefined) {
+    const backtestOptions = { model: options.model, modelConfig, format, seed };
+    const backtest = { model: options.model, seed, ...runBacktest(groups, exhibitions, results, backtestOptions), fit: null };
 
-const main = () => {
-  const groupResults = createRoundRobin(groups);
-  const groupRankings = rankTeams(groups, groupResults);
-  const rankedTeams = getTopEightTeams(groupRankings);
-  const quarterfinals = getEliminationMatches(rankedTeams);
-  const eliminationResults = getEliminationResults(quarterfinals);
+    if (options.fit !== undefined) {
+      const fit = fitModelConfig(groups, exhibitions, results, { ...backtestOptions, trials: options.trials, metric: options.fitMetric });
+
+      fs.writeFileSync(options.fit, `${JSON.stringify(fit.modelConfig, null, 2)}\n`);
+      backtest.fit = { trials: options.trials, metric: options.fitMetric, ...fit };
+    }
+
+    options.format === 'json' ? writeReport(backtest, options.out) : outputBacktest(backtest, options.fit, translator);
+    return;
+  }
+
+  const tournamentOptions = { format, seed, model: options.model, modelConfig, detailed: options.detailed, results };
+  const settings = { seed, model: options.model, tournament: format.name, runs };
+
+  if (options.interactive) {
+    // Answers are read line by line, so piped answers aren't lost between questions, and the end of the input quits
+    const readline = createInterface({ input: process.stdin });
+    const lines = readline[Symbol.asyncIterator]();
+    const ask = async (question) => {
+      process.stdout.write(question);
+      const { value, done } = await lines.next();
+      return done ? 'q' : value;
+    };
+
+    console.log(translator.t('seed', { seed, model: options.model, command: `${command} --interactive` }));
+    runInteractive(groups, exhibitions, tournamentOptions, translator, ask).finally(() => readline.close());
+    return;
+  }
+
+  if (runs !== undefined) {
+    const probabilities = runMonteCarlo(groups, exhibitions, tournamentOptions, runs);
+
+    // The page shows the first run of the simulation, which is the same as a single run with the seed
+    if (options.format === 'html') {
+      const report = createReport(new Tournament(groups, exhibitions, tournamentOptions).play(), groups, settings);
+      writeOutput(createHtmlReport(report, createProbabilityReport(probabilities, settings), command, translator), options.out);
+      return;
+    }
+
+    options.format === 'json'
+      ? writeReport(createProbabilityReport(probabilities, settings), options.out)
+      : outputProbabilities(probabilities, runs, command, translator);
+    return;
+  }
+
+  const run = new Tournament(groups, exhibitions, tournamentOptions).play();
+
+  if (options.format === 'json') {
+    writeReport(createReport(run, groups, settings), options.out);
+    return;
+  }
 
-  outputResults(groupResults, groupRankings, eliminationResults, rankedTeams);
+  if (options.format === 'html') {
+    writeOutput(createHtmlReport(createReport(run, groups, settings), null, command, translator), options.out);
+    return;
+  }
+
+  console.log(`${translator.t('seed', { seed, model: options.model, command })}\n`);
+
+  const { groupResults, groupRankings, rankedTeams, pots, eliminationResults } = run;
+
+  outputResults(groupResults, groupRankings, eliminationResults, rankedTeams, pots, translator);
 }
 
-main();
+// Only run the command line interface when main.js is executed, not when it's imported as a library
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
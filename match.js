@@ -0,0 +1,112 @@
+'use strict';
+
+import { createMatchDetails, splitIntoQuarters } from './detailedMatch.js';
+import { DEFAULT_MODEL_CONFIG } from './modelConfig.js';
+
+/**
+ * Gets the average number of points from the exhibition stage for two teams.
+ * This score will be used as a base score for the match.
+ * 
+ * @param {string} team1 - The ISO code of the first team.
+ * @param {string} team2 - The ISO code of the second team.
+ * @param {object} exhibitions - The contents of exhibitions.json.
+ * @returns {number} The base score calculated from the teams' exhibition points.
+ */
+const getBaseScore = (team1, team2, exhibitions) => {
+  const getTotalPointsForTeam = (team) => {
+    return exhibitions[team].reduce((acc, match) => {
+      const pointsInMatch = match.Result.split('-').map(Number).reduce((sum, x) => sum + x);
+      return acc + Math.floor(pointsInMatch / 2);
+    }, 0);
+  };
+
+  // Subtract a constant amount since defenses will be tougher in the main stage
+  return Math.floor((getTotalPointsForTeam(team1) + getTotalPointsForTeam(team2)) / 4) - 6;
+}
+
+const REGULATION_LENGTH = 40;
+const OVERTIME_LENGTH = 5;
+
+/**
+ * Simulates a match between two teams and returns the result.
+ * 
+ * The function calculates the match result based on the point spread predicted by the team strength model
+ * (by default from the teams' FIFA rankings and current form, see `createModel`) and a random factor.
+ * The resulting scores are rounded to the nearest integer and used to update the model. If the scores are level after regulation time, overtime periods
+ * are played with the same inputs, scaled down to the length of an overtime, until there is a winner.
+ * With `detailed`, the regulation time scores are split into quarters (see `splitIntoQuarters`), and the result also contains
+ * the match details (see `createMatchDetails`). Both come from `detailRandom`, so with a generator of its own, a detailed match
+ * draws the same numbers from `random` as a plain one and every later match plays out the same in both modes.
+ * The `adjustments` from the schedule, like a host nation advantage or fatigue (see `createSchedule`), are added to the regulation time scores.
+ *
+ * @param {object} team1 - The first team participating in the match.
+ * @param {object} team2 - The second team participating in the match.
+ * @param {string} team1.ISOCode - The ISO code of the first team.
+ * @param {number} team1.FIBARanking - The FIFA ranking of the first team.
+ * @param {string} team2.ISOCode - The ISO code of the second team.
+ * @param {number} team2.FIBARanking - The FIFA ranking of the second team.
+ * @param {object} context - What the match is simulated with.
+ * @param {object} context.model - The team strength model, see `createModel`.
+ * @param {object} context.exhibitions - The contents of exhibitions.json, for the base score (see `getBaseScore`).
+ * @param {function(): number} context.random - The random number generator used for the match, see `createRandom`.
+ * @param {boolean} [context.detailed] - Whether to simulate the match quarter by quarter, with box scores.
+ * @param {function(): number} [context.detailRandom] - The random number generator for the quarters and details, `random` by default.
+ * @param {Array<number>} [context.adjustments] - Points added to the regulation time scores of the two teams, none by default.
+ * @param {object} [context.config] - The model config with the random ranges `teamNoise`, `marginNoise` and `marginNoiseOffset`,
+ * see `createModelConfig`.
+ * @returns {object} An object containing the simulated scores for both teams.
+ * @returns {number} return.team1 - The score for the first team.
+ * @returns {number} return.team2 - The score for the second team.
+ * @returns {number} return.overtimes - The number of overtime periods played, 0 if the match was decided in regulation time.
+ * @returns {object} [return.details] - Quarter scores, biggest leads, lead changes and box scores, only if `detailed`.
+ *
+ * @example
+ * const teamA = { ISOCode: 'CAN', FIBARanking: 10 };
+ * const teamB = { ISOCode: 'USA', FIBARanking: 20 };
+ * const result = simulateMatch(teamA, teamB, { model, exhibitions, random: createRandom(42) });
+ * 
+ * // Updates the model
+ * Result will be { team1: 88, team2: 82, overtimes: 0 }
+ */
+export const simulateMatch = (team1, team2, {
+  model, exhibitions, random, detailed = false, detailRandom = random, adjustments = [0, 0], config = DEFAULT_MODEL_CONFIG
+}) => {
+  const { teamNoise, marginNoise, marginNoiseOffset } = config;
+  // Each team gets half of the expected margin
+  const halfSpread = model.getPointSpread(team1, team2) / 2;
+  const baseScore = getBaseScore(team1.ISOCode, team2.ISOCode, exhibitions);
+
+  // Scores for a period lasting `share` of the regulation time, with the adjustments of the schedule for regulation time only
+  const simulatePeriod = (share, [adjustment1, adjustment2] = [0, 0]) => {
+    const randomFactor = random() * marginNoise + marginNoiseOffset;
+    const score1 = Math.floor(random() * teamNoise) + baseScore + halfSpread + randomFactor + adjustment1;
+    const score2 = Math.floor(random() * teamNoise) + baseScore - halfSpread - randomFactor + adjustment2;
+    return [Math.round(score1 * share), Math.round(score2 * share)];
+  }
+
+  // Regulation time is a single period, which the detailed engine splits into quarters
+  const regulation = simulatePeriod(1, adjustments);
+  const periods = detailed ? splitIntoQuarters(regulation, detailRandom) : [regulation];
+  const result = {
+    team1: periods.reduce((sum, period) => sum + period[0], 0),
+    team2: periods.reduce((sum, period) => sum + period[1], 0),
+    overtimes: 0
+  };
+
+  // Play 5 minute overtimes, out of 40 minutes of regulation time, until there is a winner
+  while (result.team1 === result.team2) {
+    const [overtimeScore1, overtimeScore2] = simulatePeriod(OVERTIME_LENGTH / REGULATION_LENGTH);
+    periods.push([overtimeScore1, overtimeScore2]);
+    result.team1 += overtimeScore1;
+    result.team2 += overtimeScore2;
+    result.overtimes += 1;
+  }
+
+  if (detailed) {
+    result.details = createMatchDetails(periods, detailRandom);
+  }
+
+  model.update(team1, team2, result.team1, result.team2);
+
+  return result;
+}
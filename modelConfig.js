@@ -0,0 +1,81 @@
+'use strict';
+
+// Smallest allowed values: the random points of a team have to cover a full point in an overtime (an eighth of the game),
+// otherwise an overtime could stay tied forever
+const MIN_VALUES = {
+  formFactor: 0,
+  teamNoise: 9,
+  marginNoise: 0
+};
+
+/**
+ * The constants of the score model, as fitted by hand:
+ * - `rankWeight`, `formWeight`: Weights of the FIBA ranking difference and the form difference in the point spread of the form model.
+ * - `formFactor`: How much a single game changes the form of a team in the form model, see `updateTeamForm`.
+ * - `teamNoise`: Range of the random points every team gets in a game.
+ * - `marginNoise`, `marginNoiseOffset`: Range and offset of the random swing between the two teams in a game.
+ */
+export const DEFAULT_MODEL_CONFIG = Object.freeze({
+  rankWeight: 0.65,
+  formWeight: 0.35,
+  formFactor: 0.07,
+  teamNoise: 15,
+  marginNoise: 10,
+  marginNoiseOffset: -4
+});
+
+// Constants only the form model reads, the other ones are the random ranges of every game
+const FORM_MODEL_KEYS = ['rankWeight', 'formWeight', 'formFactor'];
+
+/**
+ * Lists the constants of the model config that a team strength model reads.
+ *
+ * @param {string} model - The name of the model, `form` or `elo`, see `createModel`.
+ * @returns {Array<string>} The keys of the constants, in the order of `DEFAULT_MODEL_CONFIG`.
+ *
+ * @example
+ * getModelConfigKeys('elo');
+ * // ['teamNoise', 'marginNoise', 'marginNoiseOffset']
+ */
+export const getModelConfigKeys = (model) => Object.keys(DEFAULT_MODEL_CONFIG)
+  .filter(key => model === 'form' || !FORM_MODEL_KEYS.includes(key));
+
+/**
+ * Creates a model config from a config file, like the ones written by the backtest fit. Constants missing from the file keep their defaults.
+ *
+ * @param {object} [values] - The contents of the config file.
+ * @param {string} [model] - The team strength model the config is for, `form` by default. Keys it doesn't read are rejected,
+ * see `getModelConfigKeys`.
+ * @returns {object} The full model config, see `DEFAULT_MODEL_CONFIG`.
+ * @throws {Error} If the config has unknown keys or keys the model doesn't read, values that aren't finite numbers,
+ * or values below their minimum (see `MIN_VALUES`).
+ *
+ * @example
+ * createModelConfig({ formFactor: 0.1 });
+ * // { rankWeight: 0.65, formWeight: 0.35, formFactor: 0.1, teamNoise: 15, marginNoise: 10, marginNoiseOffset: -4 }
+ */
+export const createModelConfig = (values = {}, model = 'form') => {
+  if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+    throw new Error('Model config should be an object');
+  }
+
+  for (const [key, value] of Object.entries(values)) {
+    if (!(key in DEFAULT_MODEL_CONFIG)) {
+      throw new Error(`Unknown model config "${key}", expected one of: ${Object.keys(DEFAULT_MODEL_CONFIG).join(', ')}`);
+    }
+
+    if (!getModelConfigKeys(model).includes(key)) {
+      throw new Error(`Model config "${key}" isn't used by the ${model} model`);
+    }
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Invalid model config ${key} "${value}", expected a number`);
+    }
+
+    if (value < MIN_VALUES[key]) {
+      throw new Error(`Invalid model config ${key} "${value}", expected at least ${MIN_VALUES[key]}`);
+    }
+  }
+
+  return { ...DEFAULT_MODEL_CONFIG, ...values };
+}
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Outputs the metrics of a backtest, one per line, see `runBacktest`.
+ *
+ * @param {object} metrics - The `brier`, `logLoss`, `marginError` and `totalError` of the forecasts.
+ * @param {function(string, object): string} t - The message translator.
+ */
+const outputMetrics = ({ brier, logLoss, marginError, totalError }, t) => {
+  console.log(`    ${t('backtest.brier').padEnd(20)} ${brier.toFixed(3)}`);
+  console.log(`    ${t('backtest.logLoss').padEnd(20)} ${logLoss.toFixed(3)}`);
+  console.log(`    ${t('backtest.marginError').padEnd(20)} ${t('backtest.points', { points: marginError.toFixed(1) })}`);
+  console.log(`    ${t('backtest.totalError').padEnd(20)} ${t('backtest.points', { points: totalError.toFixed(1) })}`);
+}
+
+/**
+ * Outputs how well the model forecast the real results, and with a fit, how well the fitted model config did and its values.
+ *
+ * @param {object} backtest - The backtest report: the `model`, `seed`, forecast `games` and `metrics` (see `runBacktest`),
+ * and the `fit` (`trials`, `metric`, and the fitted `modelConfig` with its `metrics`, see `fitModelConfig`) or `null`.
+ * @param {string} [configFile] - The path the fitted model config was written to, given with `--fit`.
+ * @param {object} translator - Labels in the chosen language, see `createTranslator`.
+ * @returns {void} Outputs the backtest to the console.
+ */
+const outputBacktest = ({ model, seed, games, metrics, fit }, configFile, { t }) => {
+  console.log(t('backtest', { games: games.length, model, seed }));
+  outputMetrics(metrics, t);
+
+  if (fit) {
+    console.log(`\n${t('backtest.fit', { trials: fit.trials, metric: fit.metric })}`);
+    outputMetrics(fit.metrics, t);
+
+    console.log(`\n${t('backtest.written', { file: configFile })}`);
+    Object.entries(fit.modelConfig).forEach(([key, value]) => console.log(`    ${key.padEnd(20)} ${value}`));
+  }
+}
+
+export default outputBacktest;
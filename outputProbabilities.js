@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * Outputs the aggregated results of a Monte Carlo simulation to the console.
+ * For each group, prints a table with the probability of every team finishing in each group position,
+ * reaching each elimination stage and winning each medal, followed by average points scored and allowed per game.
+ *
+ * @param {object} probabilities - An object where keys are group names and values are arrays of team probabilities, as returned by `getProbabilities`.
+ * @param {number} runs - The number of simulated tournaments.
+ * @param {string} command - The command that replays the simulation.
+ * @param {object} translator - Labels and country names in the chosen language, see `createTranslator`.
+ * @returns {void} Outputs the probabilities to the console.
+ */
+const outputProbabilities = (probabilities, runs, command, { t, teamName }) => {
+  const formatPercentage = (probability) => `${(probability * 100).toFixed(1)}%`.padStart(6);
+  const formatAverage = (average) => average.toFixed(1).padStart(5);
+
+  console.log(t('probabilities', { runs, command }));
+
+  for (const [group, teams] of Object.entries(probabilities)) {
+    const positionHeaders = teams.map((_, index) => `${index + 1}.`.padStart(6));
+    const stageHeaders = Object.keys(teams[0].stages).map(stage => (['roundOf16', 'quarterfinals', 'semifinals', 'finals'].includes(stage)
+      ? t(`stageShort.${stage}`)
+      : stage.replace('roundOf', 'R')).padStart(6));
+    const medalHeaders = ['gold', 'silver', 'bronze'].map(medal => t(medal).padStart(6));
+    const header = `${t('country').padEnd(20)} | ${positionHeaders.join(' ')} | ${stageHeaders.join(' ')} | ${medalHeaders.join(' ')} | ${t('scored').padStart(5)} ${t('allowed')}`;
+
+    console.log(`\n${t('group', { group })}`);
+    console.log(header);
+    console.log('-'.repeat(header.length));
+
+    teams.forEach(team => {
+      const positions = team.positions.map(formatPercentage).join(' ');
+      const stages = Object.values(team.stages).map(formatPercentage).join(' ');
+      const medals = [team.gold, team.silver, team.bronze].map(formatPercentage).join(' ');
+
+      console.log(`${teamName(team.ISOCode, team.Team).padEnd(20)} | ${positions} | ${stages} | ${medals} | ${formatAverage(team.scored)} ${formatAverage(team.allowed)}`);
+    });
+  }
+}
+
+export default outputProbabilities;
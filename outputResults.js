@@ -1,87 +1,194 @@
 'use strict';
 
+/**
+ * Formats the score of a match in parentheses, marking games that went to overtime, e.g. "(95:93 OT)" or "(101:99 2OT)".
+ * For detailed matches, the score of every period follows, e.g. "(87:82) (22:18, 20:25, 24:19, 21:20)".
+ *
+ * @param {number} score1 - The score of the first team.
+ * @param {number} score2 - The score of the second team.
+ * @param {number} overtimes - The number of overtime periods played.
+ * @param {object} [details] - The match details, see `createMatchDetails`.
+ * @returns {string} The formatted score.
+ */
+export const formatScore = (score1, score2, overtimes, details) => {
+  const overtimeLabel = overtimes > 1 ? ` ${overtimes}OT` : overtimes === 1 ? ' OT' : '';
+  const quarterLine = details ? ` (${details.quarters.map(([quarter1, quarter2]) => `${quarter1}:${quarter2}`).join(', ')})` : '';
+  return `(${score1}:${score2}${overtimeLabel})${quarterLine}`;
+}
+
+/**
+ * Formats the game day of matches on the calendar in parentheses, e.g. " (06/08/24, Bercy Arena, Paris)".
+ *
+ * @param {object} [match] - A match result, with the `date` and `venue` of its game day if it's on the calendar.
+ * @returns {string} The formatted game day, empty for matches without one.
+ */
+export const formatGameDay = (match) => match?.date ? ` (${match.date}, ${match.venue})` : '';
+
+/**
+ * Converts a round number to Roman numerals, e.g. 4 to "IV".
+ *
+ * @param {number} number - A positive integer.
+ * @returns {string} The number in Roman numerals.
+ */
+export const toRoman = (number) => {
+  const numerals = [[10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']];
+  let roman = '';
+
+  for (const [value, numeral] of numerals) {
+    while (number >= value) {
+      roman += numeral;
+      number -= value;
+    }
+  }
+
+  return roman;
+}
+
+/**
+ * Gets the name of an elimination stage in the chosen language, e.g. "Quarterfinals", or "Round of 64" for stages without their own name.
+ *
+ * @param {string} stage - The stage name, see `getStageName`.
+ * @param {function(string, object): string} t - The message translator.
+ * @returns {string} The translated name.
+ */
+export const getStageLabel = (stage, t) => ['roundOf32', 'roundOf16', 'quarterfinals', 'semifinals', 'bronze', 'finals'].includes(stage)
+  ? t(`stage.${stage}`)
+  : t('stage.roundOf', { teams: stage.replace('roundOf', '') });
+
+/**
+ * Outputs the final standings of every group, with the criterion that decided each position.
+ *
+ * @param {object} rankings - An object where keys are group names and values are arrays of team objects sorted by their final standings,
+ * see `rankTeams`.
+ * @param {object} translator - Labels and country names in the chosen language, see `createTranslator`.
+ */
+export const outputStandings = (rankings, { t, teamName }) => {
+  const labels = Object.fromEntries(['wins', 'losses', 'points', 'scored', 'allowed'].map(key => [key, t(`standings.${key}`)]));
+  // Columns are widened to fit longer labels in the chosen language
+  const width = (key, minWidth) => Math.max(minWidth, labels[key].length);
+
+  console.log(`\n${t('finalStandings')}`);
+  for (const group in rankings) {
+    console.log(`\n${t('group', { group })}`);
+    console.log(`${t('country').padEnd(25)}| ${labels.wins.padStart(2)} | ${labels.losses.padStart(2)} | ${labels.points.padStart(3)} | ${labels.scored.padEnd(6)} | ${labels.allowed.padEnd(7)} |  +/- | ${t('decidedBy')}`);
+    console.log('-'.repeat(94));
+
+    rankings[group].forEach((team, index) => {
+      const pointDifference = team.scored - team.allowed;
+      console.log(`${String(index + 1).padStart(2)}. ${teamName(team.ISOCode, team.Team).padEnd(20)} | ${String(team.wins).padStart(width('wins', 2))} | ${String(team.losses).padStart(width('losses', 2))} | ${String(team.points).padStart(width('points', 3))} | ${String(team.scored).padStart(4).padEnd(width('scored', 6))} | ${String(team.allowed).padStart(4).padEnd(width('allowed', 7))} | ${`${pointDifference >= 0 ? '+' : ''}${pointDifference}`.padStart(4)} | ${t(`tiebreaker.${team.tiebreaker}`)}`);
+    });
+  }
+}
+
+/**
+ * Outputs the pots and the matchups of the first elimination round, by semifinal half.
+ *
+ * @param {object|null} pots - An object where keys are pot names and values are arrays of team objects, or `null` if the bracket is not drawn from pots.
+ * @param {Array<Array<object>>} bracket - The matchups of the first elimination round in bracket order, see `getEliminationMatches`.
+ * @param {object} translator - Labels and country names in the chosen language, see `createTranslator`.
+ */
+export const outputDraw = (pots, bracket, { t, teamName }) => {
+  const getName = (team) => teamName(team.ISOCode, team.Team);
+
+  if (pots) {
+    console.log(`\n${t('pots')}`);
+    for (const [pot, teams] of Object.entries(pots)) {
+      console.log(`    ${t('pot', { pot })}`);
+      teams.forEach(team => console.log(`${' '.repeat(8)}${getName(team)}`));
+    }
+  }
+
+  // Each half of the bracket leads to one semifinal
+  if (bracket.length > 1) {
+    console.log(`\n${t('eliminationDraw')}`);
+    for (let half = 0; half < 2; half++) {
+      console.log(`    ${t('semifinalHalf', { half: toRoman(half + 1) })}`);
+      bracket.slice(half * bracket.length / 2, (half + 1) * bracket.length / 2).forEach(match => {
+        console.log(`${' '.repeat(8)}${getName(match[0])} (${match[0].group}) - ${getName(match[1])} (${match[1].group})`);
+      });
+    }
+  }
+}
+
+/**
+ * Outputs the medal winners, from the final and the bronze game if there is one.
+ *
+ * @param {object} eliminationResults - The results of the elimination rounds, see `getEliminationResults`.
+ * @param {object} translator - Labels and country names in the chosen language, see `createTranslator`.
+ */
+export const outputMedals = (eliminationResults, { t, teamName }) => {
+  const getWinner = ({ match, result }) => result.team1 > result.team2 ? match[0] : match[1];
+  const getLoser = ({ match, result }) => result.team1 > result.team2 ? match[1] : match[0];
+  const getName = (team) => teamName(team.ISOCode, team.Team);
+
+  console.log(`\n${t('medals')}`);
+  console.log(`  1. ${getName(getWinner(eliminationResults.finals[0]))}`);
+  console.log(`  2. ${getName(getLoser(eliminationResults.finals[0]))}`);
+  if (eliminationResults.bronze) {
+    console.log(`  3. ${getName(getWinner(eliminationResults.bronze[0]))}`);
+  }
+}
+
 /**
  * Outputs the results of the group phase and elimination phase of a tournament.
- * It displays group stage matches, final standings, pot assignments for elimination rounds, and the results of the knockout stages including quarterfinals, semifinals, finals, and the bronze match.
+ * It displays group stage matches, final standings, pot assignments for elimination rounds, the elimination bracket, and the results of the knockout stages
+ * including quarterfinals, semifinals, finals, and the bronze match.
  *
  * @param {object} groupResults - An object where keys are group names and values are arrays of match results for that group.
- * Each match result is an object with `team1`, `team2`, `score1`, and `score2` properties.
+ * Each match result is an object with `round`, `team1`, `team2`, `score1`, `score2` and `overtimes` properties,
+ * and the `date` and `venue` of matches on the calendar, which are printed next to the group or stage.
  * @param {object} rankings - An object where keys are group names and values are arrays of team objects sorted by their final standings.
- * Each team object contains properties such as `Team`, `points`, `scored`, `allowed`, `wins`, and `losses`.
- * @param {object} eliminationResults - An object containing the results of the elimination rounds.
- *   - `quarterfinals`: An array of objects where each object contains a `match` array with two team objects and a `result` object with `team1` and `team2` scores.
+ * Each team object contains properties such as `Team`, `ISOCode`, `points`, `scored`, `allowed`, `wins`, `losses` and `tiebreaker`.
+ * @param {object} eliminationResults - An object containing the results of the elimination rounds, keyed by stage name in the order they were played.
+ * Brackets with more than 8 teams start with earlier stages, such as `roundOf16`.
+ *   - `quarterfinals`: An array of objects where each object contains a `match` array with two team objects and a `result` object with `team1` and `team2` scores
+ *     and the number of `overtimes`.
  *   - `semifinals`: An array of objects similar to `quarterfinals`.
  *   - `finals`: An array of objects similar to `quarterfinals`.
  *   - `bronze`: An array of objects similar to `quarterfinals`.
  * @param {Array<object>} rankedTeams - An array of team objects representing the teams ranked for elimination rounds.
  * Each team object contains a `Team` property representing the team's name.
+ * @param {object|null} pots - An object where keys are pot names and values are arrays of team objects, or `null` if the bracket is not drawn from pots.
+ * @param {object} translator - Labels and country names in the chosen language, see `createTranslator`.
  * @returns {void} Outputs the tournament results to the console.
  */
-const outputResults = (groupResults, rankings, eliminationResults, rankedTeams) => {
+const outputResults = (groupResults, rankings, eliminationResults, rankedTeams, pots, { t, teamName }) => {
+  // Group results reference teams by their name in groups.json
+  const isoCodes = Object.fromEntries(Object.values(rankings).flat().map(team => [team.Team, team.ISOCode]));
+  const getName = (team) => teamName(team.ISOCode, team.Team);
+  const getNameFromGroups = (name) => teamName(isoCodes[name], name);
+
   const outputGroupMatch = (match) => {
-    console.log(`${' '.repeat(8)}${match.team1} - ${match.team2} (${match.score1}:${match.score2})`);
+    console.log(`${' '.repeat(8)}${getNameFromGroups(match.team1)} - ${getNameFromGroups(match.team2)} ${formatScore(match.score1, match.score2, match.overtimes, match.details)}`);
   }
 
-  for (let round = 0; round < 3; round++) {
-    console.log(`Grupna faza - ${'I'.repeat(round + 1)} kolo`);
+  const roundCount = Math.max(...Object.values(groupResults).flat().map(match => match.round));
+
+  for (let round = 1; round <= roundCount; round++) {
+    console.log(t('groupStageRound', { round: toRoman(round) }));
 
     for (const [group, resultsForGroup] of Object.entries(groupResults)) {
-      console.log(`    Grupa ${group}:`);
-      outputGroupMatch(resultsForGroup[2*round]);
-      outputGroupMatch(resultsForGroup[2*round + 1]);
+      const matches = resultsForGroup.filter(match => match.round === round);
+      console.log(`    ${t('group', { group })}${formatGameDay(matches[0])}:`);
+      matches.forEach(outputGroupMatch);
     };
   }
 
-  console.log('\nKonačan plasman u grupama:');
-  for (const group in rankings) {
-    console.log(`\nGrupa ${group}`);
-    console.log(`Država                   |  W |  L | Pts | Scored | Allowed | +/-`);
-    console.log('-'.repeat(66));
+  outputStandings(rankings, { t, teamName });
+  outputDraw(pots, Object.values(eliminationResults)[0].map(({ match }) => match), { t, teamName });
 
-    rankings[group].forEach((team, index) => {
-      const pointDifference = team.scored - team.allowed;
-      console.log(`${String(index + 1).padStart(2)}. ${team.Team.padEnd(20)} | ${String(team.wins).padStart(2)} | ${String(team.losses).padStart(2)} | ${String(team.points).padStart(3)} | ${String(team.scored).padStart(4)}   | ${String(team.allowed).padStart(4)}    | ${pointDifference >= 0 ? '+' : ''}${pointDifference}`);
-    });
-  }
-
-  const pots = {
-    'Šešir D': rankedTeams.slice(0, 2),
-    'Šešir E': rankedTeams.slice(2, 4),
-    'Šešir F': rankedTeams.slice(4, 6),
-    'Šešir G': rankedTeams.slice(6, 8)
-  };
-
-  console.log('\nŠeširi:');
-  for (const [pot, teams] of Object.entries(pots)) {
-    console.log(`    ${pot}`);
-    teams.forEach(team => console.log(`${' '.repeat(8)}${team.Team}`));
-  }
+  console.log(`\n${t('eliminationStage')}`);
 
-  console.log('\nEliminaciona faza:');
-
-  const stageNames = { quarterfinals: 'Četvrtfinale', semifinals: 'Polufinale', bronze: 'Utakmica za treće mesto', finals: 'Finale' }
-
-  const logEliminationResult = (key, match) => {
-    console.log(`    ${stageNames[key]}:`);
+  const logEliminationResult = (key) => {
+    console.log(`    ${getStageLabel(key, t)}${formatGameDay(eliminationResults[key][0].result)}:`);
     eliminationResults[key].forEach(match => {
-      console.log(`${' '.repeat(8)}${match.match[0].Team} - ${match.match[1].Team} (${match.result.team1}:${match.result.team2})`);
+      console.log(`${' '.repeat(8)}${getName(match.match[0])} - ${getName(match.match[1])} ${formatScore(match.result.team1, match.result.team2, match.result.overtimes, match.result.details)}`);
     });
   }
 
-  logEliminationResult('quarterfinals')
-  logEliminationResult('semifinals');
-  logEliminationResult('finals');
-
-  console.log('\nMedalje:');
-  console.log(`  1. ${eliminationResults.finals[0].result.team1 > eliminationResults.finals[0].result.team2
-    ? eliminationResults.finals[0].match[0].Team
-    : eliminationResults.finals[0].match[1].Team}`);
-  console.log(`  2. ${eliminationResults.finals[0].result.team1 > eliminationResults.finals[0].result.team2
-    ? eliminationResults.finals[0].match[1].Team
-    : eliminationResults.finals[0].match[0].Team}`);
-  console.log(`  3. ${eliminationResults.bronze[0].result.team1 > eliminationResults.bronze[0].result.team2
-    ? eliminationResults.bronze[0].match[0].Team
-    : eliminationResults.bronze[0].match[1].Team}`);
+  Object.keys(eliminationResults).forEach(logEliminationResult);
+
+  outputMedals(eliminationResults, { t, teamName });
 }
 
 export default outputResults;
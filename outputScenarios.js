@@ -0,0 +1,128 @@
+'use strict';
+
+// Most alternatives listed for a team, the rest are only counted
+const MAX_ALTERNATIVES = 10;
+
+/**
+ * Formats a margin or a range of margins, e.g. "12+", "8" or "8-10".
+ *
+ * @param {number} min - The smallest margin.
+ * @param {number|null} max - The largest margin, `null` for no limit.
+ * @returns {string} The formatted margin.
+ */
+const formatMargin = (min, max) => max === null ? `${min}+` : min === max ? `${min}` : `${min}-${max}`;
+
+/**
+ * Describes a condition on a game of the team itself, from its perspective, e.g. "win by 12+" or "win or lose by fewer than 5".
+ *
+ * @param {object} condition - The game condition, see `getScenarios`.
+ * @param {function(string, object): string} t - The message translator.
+ * @returns {string} The description.
+ */
+const describeOwnGame = ({ min, max }, t) => {
+  if (min !== null && min > 0) {
+    return min === 1 && max === null ? t('scenario.win') : t('scenario.winBy', { margin: formatMargin(min, max) });
+  }
+
+  if (max !== null && max < 0) {
+    return max === -1 && min === null ? t('scenario.lose') : t('scenario.loseBy', { margin: formatMargin(-max, min === null ? null : -min) });
+  }
+
+  if (min === null) {
+    return t('scenario.notWinBy', { margin: max + 1 });
+  }
+
+  return max === null
+    ? t('scenario.notLoseBy', { margin: -min + 1 })
+    : t('scenario.margin', { win: max, loss: -min });
+}
+
+/**
+ * Describes a condition on a game between two other teams, named by their ISO codes, e.g. "GER beats BRA".
+ * Conditions that only allow losses are turned around, so the winner is always named first.
+ *
+ * @param {object} condition - The game condition, see `getScenarios`.
+ * @param {function(string, object): string} t - The message translator.
+ * @returns {string} The description.
+ */
+const describeOtherGame = ({ team1, team2, min, max }, t) => {
+  if ((max !== null && max < 0) || (min === null && max > 0)) {
+    return describeOtherGame({ team1: team2, team2: team1, min: max === null ? null : -max, max: min === null ? null : -min }, t);
+  }
+
+  if (min > 0) {
+    return min === 1 && max === null
+      ? t('scenario.beats', { team1, team2 })
+      : t('scenario.beatsBy', { team1, team2, margin: formatMargin(min, max) });
+  }
+
+  return max === null
+    ? t('scenario.notLoseAgainst', { team1, team2, margin: -min + 1 })
+    : t('scenario.marginBetween', { team1, team2, win: max, loss: -min });
+}
+
+/**
+ * Outputs what every team needs from the remaining group games to advance, see `getScenarios`.
+ * Each team is listed as qualified, eliminated, or with the alternatives that get it through,
+ * where the conditions on its own games come first and other games are named by the teams' ISO codes.
+ * Own games are named by the opponent when the team has more than one left. Approximate teams are marked with `*`,
+ * explained below the groups with the largest margin considered. At most `MAX_ALTERNATIVES` alternatives are listed,
+ * the JSON output has all of them.
+ *
+ * @param {object} scenarios - The scenarios, as returned by `getScenarios`.
+ * @param {object} translator - Labels and country names in the chosen language, see `createTranslator`.
+ * @returns {void} Outputs the scenarios to the console.
+ */
+const outputScenarios = ({ playedGames, remainingGames, maxMargin, groups }, { t, teamName }) => {
+  console.log(t('scenarios', { played: playedGames, remaining: remainingGames }));
+
+  for (const [group, teams] of Object.entries(groups)) {
+    console.log(`\n${t('group', { group })}`);
+
+    teams.forEach(({ Team, ISOCode, status, approximate, requirements }) => {
+      const name = `${teamName(ISOCode, Team)}${approximate ? '*' : ''}`.padEnd(20);
+
+      if (status !== 'needs') {
+        console.log(`    ${name} ${t(`scenario.${status}`)}`);
+        return;
+      }
+
+      const opponents = new Set(requirements.flat().filter(condition => condition.team1 === ISOCode).map(condition => condition.team2));
+      const alternatives = requirements.map(requirement => requirement.map(condition => {
+        if (condition.type === 'rank') {
+          return t('scenario.rank', { count: condition.count, position: condition.position });
+        }
+
+        if (condition.type === 'tiebreak') {
+          return t('scenario.tiebreak');
+        }
+
+        if (condition.team1 !== ISOCode) {
+          return describeOtherGame(condition, t);
+        }
+
+        return opponents.size > 1
+          ? t('scenario.against', { requirement: describeOwnGame(condition, t), opponent: condition.team2 })
+          : describeOwnGame(condition, t);
+      }).join(t('scenario.and')));
+
+      if (alternatives.length === 1) {
+        console.log(`    ${name} ${t('scenario.needs', { requirements: alternatives[0] })}`);
+        return;
+      }
+
+      console.log(`    ${name} ${t('scenario.needsOneOf')}`);
+      alternatives.slice(0, MAX_ALTERNATIVES).forEach(alternative => console.log(`        - ${alternative}`));
+
+      if (alternatives.length > MAX_ALTERNATIVES) {
+        console.log(`        ${t('scenario.more', { count: alternatives.length - MAX_ALTERNATIVES })}`);
+      }
+    });
+  }
+
+  if (Object.values(groups).flat().some(team => team.approximate)) {
+    console.log(`\n${t('scenarios.approximate', { maxMargin })}`);
+  }
+}
+
+export default outputScenarios;
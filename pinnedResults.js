@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * Gets the key of a game, the same whichever team is listed first.
+ *
+ * @param {string} stage - The stage of the game.
+ * @param {string} team1 - The ISO code of one team.
+ * @param {string} team2 - The ISO code of the other team.
+ * @returns {string} The key, e.g. "group|SRB|SSD".
+ */
+const getKey = (stage, team1, team2) => [stage, ...[team1, team2].sort()].join('|');
+
+/**
+ * Creates the lookup of games pinned to known results by a results file, for "what if" simulations.
+ * The results file has stages as keys (`group` for the group stage, otherwise stage names like `quarterfinals` or `bronze`,
+ * see `getStageName`) and arrays of games as values. Like exhibitions.json, each game has the `Team` and `Opponent` ISO codes
+ * and the `Result` from the team's perspective, plus the number of `Overtimes` if there were any.
+ *
+ * @param {object} [results] - The contents of the results file, no games are pinned if it's not given.
+ * @returns {function(string, object, object): (object|undefined)} Gets the pinned result of a game from its stage and teams,
+ * as `{ team1, team2, overtimes, pinned: true }` with the scores of the teams in the order given, or `undefined` if it isn't pinned.
+ *
+ * @example
+ * const getPinnedResult = createPinnedResults({ group: [{ Team: 'SRB', Opponent: 'SSD', Result: '96-85' }] });
+ * getPinnedResult('group', { ISOCode: 'SSD' }, { ISOCode: 'SRB' }); // { team1: 85, team2: 96, overtimes: 0, pinned: true }
+ * getPinnedResult('quarterfinals', { ISOCode: 'SSD' }, { ISOCode: 'SRB' }); // undefined
+ */
+export const createPinnedResults = (results = {}) => {
+  const games = new Map();
+
+  for (const [stage, stageGames] of Object.entries(results)) {
+    stageGames.forEach(({ Team, Opponent, Result, Overtimes = 0 }) => {
+      const [score, opponentScore] = Result.split('-').map(Number);
+      games.set(getKey(stage, Team, Opponent), { [Team]: score, [Opponent]: opponentScore, overtimes: Overtimes });
+    });
+  }
+
+  return (stage, team1, team2) => {
+    const game = games.get(getKey(stage, team1.ISOCode, team2.ISOCode));
+    return game && { team1: game[team1.ISOCode], team2: game[team2.ISOCode], overtimes: game.overtimes, pinned: true };
+  };
+}
@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Creates empty counters for every team in the groups, keyed by ISO code.
+ * The counters are filled by `recordRun` and turned into probabilities by `getProbabilities`.
+ *
+ * @param {object} groups - An object where keys are group names and values are arrays of team objects.
+ * @param {Array<string>} stages - The names of the elimination stages, e.g. `['quarterfinals', 'semifinals', 'finals']`.
+ * @returns {object} An object where keys are ISO codes and values are counter objects.
+ */
+export const createTeamStats = (groups, stages) => {
+  const stats = {};
+
+  for (const group in groups) {
+    groups[group].forEach(team => {
+      stats[team.ISOCode] = {
+        Team: team.Team,
+        ISOCode: team.ISOCode,
+        group,
+        positions: groups[group].map(() => 0),
+        stages: Object.fromEntries(stages.map(stage => [stage, 0])),
+        gold: 0,
+        silver: 0,
+        bronze: 0,
+        scored: 0,
+        allowed: 0,
+        games: 0
+      };
+    });
+  }
+
+  return stats;
+}
+
+/**
+ * Adds the outcome of one simulated tournament to the counters.
+ *
+ * @param {object} stats - The counters created by `createTeamStats`.
+ * @param {object} run - The result of a single tournament run.
+ * @param {object} run.groupRankings - Final group standings, as returned by `rankTeams`.
+ * @param {object} run.eliminationResults - Knockout results, as returned by `getEliminationResults`.
+ */
+export const recordRun = (stats, { groupRankings, eliminationResults }) => {
+  for (const group in groupRankings) {
+    groupRankings[group].forEach((team, index) => {
+      const teamStats = stats[team.ISOCode];
+      teamStats.positions[index] += 1;
+      teamStats.scored += team.scored;
+      teamStats.allowed += team.allowed;
+      teamStats.games += team.wins + team.losses;
+    });
+  }
+
+  const getWinnerAndLoser = ({ match, result }) => result.team1 > result.team2 ? match : [match[1], match[0]];
+
+  for (const [stage, stageResults] of Object.entries(eliminationResults)) {
+    stageResults.forEach(({ match, result }) => {
+      const [team1, team2] = [stats[match[0].ISOCode], stats[match[1].ISOCode]];
+      team1.scored += result.team1;
+      team1.allowed += result.team2;
+      team2.scored += result.team2;
+      team2.allowed += result.team1;
+      team1.games += 1;
+      team2.games += 1;
+
+      if (stage !== 'bronze') {
+        team1.stages[stage] += 1;
+        team2.stages[stage] += 1;
+      }
+    });
+  }
+
+  const [champion, runnerUp] = getWinnerAndLoser(eliminationResults.finals[0]);
+  stats[champion.ISOCode].gold += 1;
+  stats[runnerUp.ISOCode].silver += 1;
+
+  if (eliminationResults.bronze) {
+    stats[getWinnerAndLoser(eliminationResults.bronze[0])[0].ISOCode].bronze += 1;
+  }
+}
+
+/**
+ * Converts the counters into probabilities and per-game averages.
+ *
+ * @param {object} stats - The counters filled by `recordRun`.
+ * @param {number} runs - The number of recorded runs.
+ * @returns {object} An object where keys are group names and values are arrays of team probabilities,
+ * in the same order as in groups.json. Each entry contains `Team`, `ISOCode`, `positions` (probability of
+ * finishing in each group position), `stages` (probability of reaching each elimination stage), `gold`, `silver`, `bronze`,
+ * and the average points per game `scored` and `allowed`.
+ *
+ * @example
+ * const stats = createTeamStats(groups, ['quarterfinals', 'semifinals', 'finals']);
+ * recordRun(stats, run);
+ * getProbabilities(stats, 1);
+ *
+ * // {
+ * //   A: [{ Team: 'Kanada', ISOCode: 'CAN', positions: [0, 1, 0, 0], stages: { quarterfinals: 1, semifinals: 0, finals: 0 }, gold: 0, ..., scored: 88.25, allowed: 84.5 }, ...],
+ * //   ...
+ * // }
+ */
+export const getProbabilities = (stats, runs) => {
+  const probabilities = {};
+
+  Object.values(stats).forEach(teamStats => {
+    const { group, games, positions, stages, scored, allowed, ...counters } = teamStats;
+    const teamProbabilities = { Team: teamStats.Team, ISOCode: teamStats.ISOCode };
+
+    teamProbabilities.positions = positions.map(count => count / runs);
+    teamProbabilities.stages = Object.fromEntries(Object.entries(stages).map(([stage, count]) => [stage, count / runs]));
+    for (const key of ['gold', 'silver', 'bronze']) {
+      teamProbabilities[key] = counters[key] / runs;
+    }
+    teamProbabilities.scored = scored / games;
+    teamProbabilities.allowed = allowed / games;
+
+    (probabilities[group] ??= []).push(teamProbabilities);
+  });
+
+  return probabilities;
+}
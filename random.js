@@ -0,0 +1,69 @@
+'use strict';
+
+const MAX_SEED = 2 ** 32;
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence of numbers, so a whole tournament can be replayed.
+ *
+ * @param {number} seed - An unsigned 32-bit integer.
+ * @returns {function(): number} A function returning floats in [0, 1), a drop-in replacement for `Math.random`.
+ *
+ * @example
+ * const random = createRandom(42);
+ * random(); // 0.6011037519201636
+ * random(); // 0.44829055899754167
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / MAX_SEED;
+  };
+}
+
+/**
+ * Picks a new seed for runs where no seed was provided.
+ *
+ * @returns {number} An unsigned 32-bit integer.
+ */
+export const generateSeed = () => Math.floor(Math.random() * MAX_SEED);
+
+/**
+ * Parses a seed given on the command line.
+ *
+ * @param {string} value - The raw `--seed` value.
+ * @returns {number} The seed as an unsigned 32-bit integer.
+ * @throws {Error} If the value is not an integer in the range [0, 2^32).
+ */
+export const parseSeed = (value) => {
+  const seed = Number(value);
+
+  if (!/^\d+$/.test(value) || seed >= MAX_SEED) {
+    throw new Error(`Invalid seed "${value}", expected an integer between 0 and ${MAX_SEED - 1}`);
+  }
+
+  return seed;
+}
+
+/**
+ * Returns a shuffled copy of the items (Fisher-Yates), leaving the original array untouched.
+ *
+ * @param {Array} items - The items to shuffle.
+ * @param {function(): number} random - The random number generator, see `createRandom`.
+ * @returns {Array} A new array with the same items in random order.
+ */
+export const shuffle = (items, random) => {
+  const shuffled = [...items];
+
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled;
+}
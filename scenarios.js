@@ -0,0 +1,487 @@
+'use strict';
+
+import { getRoundRobinRounds, rankTeams } from './groupStage.js';
+import { createPinnedResults } from './pinnedResults.js';
+
+// Score of the losing team in every remaining game, so that the point difference only depends on the margins
+const LOSING_SCORE = 80;
+
+// Largest margin considered for a single game
+const MAX_MARGIN = 40;
+
+// Most outcomes worked through in a group, enough for every margin up to `MAX_MARGIN` in the two games of the last round
+const MAX_OUTCOMES = 6400;
+
+/**
+ * Gets the largest margin considered for each game. Margins up to `MAX_MARGIN` are worked through when a group with `gameCount`
+ * remaining games stays under `MAX_OUTCOMES`, which is the last round. Before that only wins and losses are, as a margin of 1.
+ *
+ * @param {number} gameCount - The number of remaining games in the group with the most of them.
+ * @returns {number} `MAX_MARGIN`, or 1 for wins and losses only.
+ */
+export const getMaxMargin = (gameCount) => Math.pow(2 * MAX_MARGIN, gameCount) <= MAX_OUTCOMES ? MAX_MARGIN : 1;
+
+/**
+ * Gets the margins a game can end with, from the first team's perspective: `-maxMargin` to -1 for losses and 1 to `maxMargin` for wins.
+ *
+ * @param {number} maxMargin - The largest margin considered.
+ * @returns {Array<number>} The margins in ascending order.
+ */
+const getMargins = (maxMargin) => [
+  ...Array.from({ length: maxMargin }, (_, i) => i - maxMargin),
+  ...Array.from({ length: maxMargin }, (_, i) => i + 1)
+];
+
+/**
+ * Splits the group games into the ones already played, as given by the results file, and the remaining ones.
+ *
+ * @param {Array<object>} teams - The teams of the group.
+ * @param {function(string, object, object): (object|undefined)} getPinnedResult - The played games, see `createPinnedResults`.
+ * @returns {object} The `played` games, as match results for `rankTeams`, and the `remaining` games, each with `team1` and `team2` team objects.
+ */
+const getGroupGames = (teams, getPinnedResult) => {
+  const [played, remaining] = [[], []];
+
+  getRoundRobinRounds(teams).flat().forEach(([team1, team2]) => {
+    const result = getPinnedResult('group', team1, team2);
+    result
+      ? played.push({ team1: team1.Team, team2: team2.Team, score1: result.team1, score2: result.team2 })
+      : remaining.push({ team1, team2 });
+  });
+
+  return { played, remaining };
+}
+
+/**
+ * Gets what the winners of the remaining games in a group decide, whatever the margins: the points of every team,
+ * the positions it can finish in, and its point difference once it has no games left. Teams level on points are first
+ * split by the games between them (see `breakTies`), the other tiebreakers depend on the margins.
+ *
+ * @param {string} group - The name of the group.
+ * @param {Array<object>} teams - The teams of the group.
+ * @param {object} games - The `played` and `remaining` games, see `getGroupGames`.
+ * @param {Array<number>} signs - For every remaining game, 1 if the first team wins and -1 if it loses.
+ * @returns {Map<string, object>} The standing of every team by ISO code, with `points`, the `best` and `worst` position,
+ * and the `pointDifference`, `null` while the team has games left.
+ */
+const getWinLossStandings = (group, teams, { played, remaining }, signs) => {
+  const standings = new Map();
+
+  if (remaining.length === 0) {
+    rankTeams({ [group]: teams }, { [group]: played })[group].forEach(team => standings.set(team.ISOCode, {
+      points: team.points, best: team.position, worst: team.position, pointDifference: team.scored - team.allowed
+    }));
+    return standings;
+  }
+
+  const isoCodes = new Map(teams.map(team => [team.Team, team.ISOCode]));
+  const wins = [
+    ...played.map(({ team1, team2, score1, score2 }) => score1 > score2 ? [team1, team2] : [team2, team1]),
+    ...remaining.map(({ team1, team2 }, i) => signs[i] > 0 ? [team1.Team, team2.Team] : [team2.Team, team1.Team])
+  ].map(game => game.map(name => isoCodes.get(name)));
+  const getPoints = (isoCode, opponents = null) => 2 * wins
+    .filter(([winner, loser]) => winner === isoCode && (opponents === null || opponents.includes(loser))).length;
+
+  teams.forEach(({ ISOCode }) => {
+    const points = getPoints(ISOCode);
+    const level = teams.map(team => team.ISOCode).filter(other => getPoints(other) === points);
+    const headToHead = getPoints(ISOCode, level);
+    const ahead = teams.filter(team => getPoints(team.ISOCode) > points).length
+      + level.filter(other => getPoints(other, level) > headToHead).length;
+    const playing = remaining.some(({ team1, team2 }) => team1.ISOCode === ISOCode || team2.ISOCode === ISOCode);
+
+    standings.set(ISOCode, {
+      points,
+      best: ahead + 1,
+      worst: ahead + level.filter(other => getPoints(other, level) === headToHead).length,
+      pointDifference: playing ? null : played
+        .filter(({ team1, team2 }) => isoCodes.get(team1) === ISOCode || isoCodes.get(team2) === ISOCode)
+        .reduce((sum, { team1, score1, score2 }) => sum + (isoCodes.get(team1) === ISOCode ? score1 - score2 : score2 - score1), 0)
+    });
+  });
+
+  return standings;
+}
+
+/**
+ * Gets every combination of winners of the remaining games in a group, with the standings they decide (see `getWinLossStandings`).
+ *
+ * @param {string} group - The name of the group.
+ * @param {Array<object>} teams - The teams of the group.
+ * @param {object} games - The `played` and `remaining` games, see `getGroupGames`.
+ * @returns {Map<string, Map<string, object>>} The standings by the winners of the remaining games, see `getWinLossKey`.
+ */
+const getWinLossOutcomes = (group, teams, games) => {
+  const outcomes = new Map();
+
+  for (let combination = 0; combination < 2 ** games.remaining.length; combination++) {
+    const signs = games.remaining.map((game, i) => (combination >> i) & 1 ? -1 : 1);
+    outcomes.set(getWinLossKey(signs), getWinLossStandings(group, teams, games, signs));
+  }
+
+  return outcomes;
+}
+
+/**
+ * Gets the key of the winners of the remaining games, e.g. "+-+" when the first team wins the first and the third game.
+ *
+ * @param {Array<number>} margins - The margins of the remaining games, from the first team's perspective.
+ * @returns {string} The key.
+ */
+const getWinLossKey = (margins) => margins.map(margin => margin > 0 ? '+' : '-').join('');
+
+/**
+ * Works through every combination of margins of the remaining games in a group and ranks the group for each of them.
+ *
+ * @param {string} group - The name of the group.
+ * @param {Array<object>} teams - The teams of the group.
+ * @param {object} games - The `played` and `remaining` games, see `getGroupGames`.
+ * @param {Array<number>} margins - The margins each remaining game can end with.
+ * @returns {Array<object>} Every outcome, with the `margins` of the remaining games and the resulting `rankings` of the group.
+ */
+const getGroupOutcomes = (group, teams, { played, remaining }, margins) => {
+  const outcomes = [];
+  const indices = remaining.map(() => 0);
+
+  while (true) {
+    const outcomeMargins = indices.map(index => margins[index]);
+    const matches = remaining.map(({ team1, team2 }, i) => ({
+      team1: team1.Team,
+      team2: team2.Team,
+      score1: LOSING_SCORE + Math.max(outcomeMargins[i], 0),
+      score2: LOSING_SCORE + Math.max(-outcomeMargins[i], 0)
+    }));
+
+    outcomes.push({ margins: outcomeMargins, rankings: rankTeams({ [group]: teams }, { [group]: [...played, ...matches] })[group] });
+
+    // Move on to the next combination, like an odometer
+    let i = indices.length - 1;
+    while (i >= 0 && indices[i] === margins.length - 1) {
+      indices[i] = 0;
+      i -= 1;
+    }
+
+    if (i < 0) {
+      return outcomes;
+    }
+
+    indices[i] += 1;
+  }
+}
+
+/**
+ * Merges alternatives that only differ in the range of margins of one game, when the ranges overlap or touch,
+ * e.g. "win by 9 to 10 and finish among the best third-placed teams" and "win by 11+ and ..." become "win by 9+ and ...",
+ * and leaves out the alternatives that need more than another one.
+ *
+ * @param {Array<Array<object>>} alternatives - The alternatives, each a list of conditions with `game` indices.
+ * @returns {Array<Array<object>>} The merged alternatives.
+ */
+const mergeAlternatives = (alternatives) => {
+  const touches = (a, b) => a.max === null || b.min === null || b.min <= a.max + 1 || (a.max === -1 && b.min === 1);
+  const result = alternatives.map(alternative => [...alternative]);
+
+  for (let i = 0; i < result.length; i++) {
+    for (let j = i + 1; j < result.length; j++) {
+      const [a, b] = [result[i], result[j]];
+      const differences = a.map((condition, k) => k).filter(k => JSON.stringify(a[k]) !== JSON.stringify(b[k]));
+      const [k] = differences;
+
+      if (a.length !== b.length || differences.length !== 1 || a[k].type !== 'game' || a[k].game !== b[k].game) {
+        continue;
+      }
+
+      const [lower, upper] = a[k].min === null || (b[k].min !== null && a[k].min <= b[k].min) ? [a[k], b[k]] : [b[k], a[k]];
+      if (touches(lower, upper)) {
+        const max = lower.max === null || upper.max === null ? null : Math.max(lower.max, upper.max);
+        lower.min === null && max === null ? a.splice(k, 1) : a[k] = { ...lower, max };
+        result.splice(j, 1);
+        j = i;
+      }
+    }
+  }
+
+  // An alternative is left out when another one needs less, i.e. every condition of the other one is met whenever its own are
+  const covers = (condition, other) => condition.type === other.type && condition.game === other.game && condition.position === other.position
+    && (condition.type !== 'game' || ((condition.min === null || (other.min !== null && other.min >= condition.min))
+      && (condition.max === null || (other.max !== null && other.max <= condition.max))));
+  const implies = (a, b) => b.every(condition => a.some(other => covers(condition, other)));
+
+  return result.filter((alternative, i) => !result.some((other, j) => j !== i && implies(alternative, other) && (!implies(other, alternative) || j < i)));
+}
+
+/**
+ * Describes when a team advances, as alternatives of conditions on the remaining games of its group.
+ * The games are gone through one by one: the margins of a game that lead to the same requirements for the rest of the games
+ * are merged into ranges, and ranges that need more than the team always advancing are widened over their neighbors where it does,
+ * so that e.g. "win by 1 to 11 and GER beats BRA" next to "win by 12+" becomes "win and GER beats BRA".
+ *
+ * @param {Array<object>} outcomes - The outcomes of the group, each with the `margins` of the remaining games and the team's `status`:
+ * `always`, `never`, `depends` on the other groups (with the team's `position`), or `tiebreak` when it depends on the margins.
+ * @param {Array<number>} gameIndices - The indices of the remaining games still to go through.
+ * @param {Array<number>} margins - The margins each game can end with.
+ * @returns {Array<Array<object>>} The alternatives, each a list of conditions that all have to be met.
+ * An empty alternative means the team always advances, and no alternatives mean it never does.
+ */
+const describeRequirements = (outcomes, gameIndices, margins) => {
+  const statuses = [...new Set(outcomes.map(({ status, position }) => status === 'depends' ? `depends${position}` : status))];
+
+  if (statuses.length === 1) {
+    const [{ status, position }] = outcomes;
+    return status === 'always' ? [[]] : status === 'never' ? [] : status === 'tiebreak' ? [[{ type: 'tiebreak' }]] : [[{ type: 'rank', position }]];
+  }
+
+  const [gameIndex, ...restIndices] = gameIndices;
+  const always = JSON.stringify([[]]);
+
+  // Ranges of margins, as indices into `margins`, with the same requirements for the rest of the games
+  const ranges = [];
+  margins.forEach((margin, index) => {
+    const requirements = describeRequirements(outcomes.filter(outcome => outcome.margins[gameIndex] === margin), restIndices, margins);
+    const key = JSON.stringify(requirements);
+    const last = ranges[ranges.length - 1];
+
+    last && last.key === key
+      ? last.end = index
+      : ranges.push({ key, requirements, start: index, end: index });
+  });
+
+  // Widened over the neighboring ranges where the team always advances, then merged with the ranges with the same requirements
+  const merged = [];
+  ranges.forEach((range, index) => {
+    let [start, end] = [range.start, range.end];
+
+    if (range.key !== always) {
+      for (let i = index - 1; i >= 0 && ranges[i].key === always; i--) {
+        start = ranges[i].start;
+      }
+      for (let i = index + 1; i < ranges.length && ranges[i].key === always; i++) {
+        end = ranges[i].end;
+      }
+    }
+
+    const previous = merged.findLast(other => other.key === range.key);
+    previous && start <= previous.end + 1
+      ? previous.end = Math.max(previous.end, end)
+      : merged.push({ ...range, start, end });
+  });
+
+  return mergeAlternatives(merged.flatMap(({ requirements, start, end }) => {
+    const condition = start === 0 && end === margins.length - 1
+      ? []
+      : [{ type: 'game', game: gameIndex, min: start === 0 ? null : margins[start], max: end === margins.length - 1 ? null : margins[end] }];
+
+    return requirements.map(requirement => [...condition, ...requirement]);
+  }));
+}
+
+/**
+ * Works out, after some group games have been played, what every team needs from the remaining group games to advance.
+ *
+ * Every combination of winners of the remaining games is gone through first (see `getWinLossStandings`), which decides the points
+ * of every team and often its position, whatever the margins. For positions where only some of the teams advance (the third-placed
+ * teams in the Olympic format), the team is compared with the teams that can finish in the same position in the other groups,
+ * like `getAdvancingTeams` does, which decides whether it advances for sure, can't advance, or depends on the other groups.
+ * Statuses and requirements that follow from the winners alone hold for every margin.
+ *
+ * Where the margins decide, in the last round every combination of margins up to `MAX_MARGIN` is ranked with `rankTeams`,
+ * with losing teams scoring `LOSING_SCORE` points. Teams with such requirements are marked `approximate`, since larger margins
+ * or other scores could change them, and can only be `probablyQualified` or `probablyEliminated`. Before the last round, such
+ * combinations need the `tiebreak` to go the team's way.
+ *
+ * @param {object} groups - An object where keys are group names and values are arrays of team objects.
+ * @param {object} format - The tournament format, see formats/olympic.json.
+ * @param {object} [results] - The played games in the results file format, see `createPinnedResults`. Only `group` games are used.
+ * @returns {object} The scenarios:
+ *   - `playedGames`: The number of group games played, as given by the results file.
+ *   - `remainingGames`: The number of remaining group games.
+ *   - `maxMargin`: The largest margin considered for a game, 1 before the last round for wins and losses only.
+ *   - `groups`: An object where keys are group names and values are arrays of teams, each with `Team`, `ISOCode`,
+ *     `status` (`qualified`, `eliminated`, `needs`, `probablyQualified` or `probablyEliminated`), `approximate`
+ *     and `requirements`, the alternatives of conditions to advance.
+ *     A condition is either `{ type: 'game', team1, team2, min, max }`, a game between two ISO codes ending with a margin
+ *     between `min` and `max` for `team1` (`null` for no limit), `{ type: 'rank', position, count }`, finishing among
+ *     the best `count` teams in `position` across the groups, or `{ type: 'tiebreak' }`, the margins breaking a tie for the team.
+ *
+ * @example
+ * getScenarios(groups, format, { group: [...the first two rounds] });
+ * // {
+ * //   playedGames: 12, remainingGames: 6, maxMargin: 40,
+ * //   groups: {
+ * //     A: [
+ * //       { Team: 'Kanada', ISOCode: 'CAN', status: 'qualified', approximate: false, requirements: [] },
+ * //       {
+ * //         Team: 'Grčka', ISOCode: 'GRE', status: 'needs', approximate: true,
+ * //         requirements: [[{ type: 'game', team1: 'GRE', team2: 'AUS', min: 12, max: null }]]
+ * //       },
+ * //       ...
+ * //     ], ...
+ * //   }
+ * // }
+ */
+export const getScenarios = (groups, format, results = {}) => {
+  const getPinnedResult = createPinnedResults({ group: results.group ?? [] });
+  const groupGames = Object.fromEntries(Object.entries(groups).map(([group, teams]) => [group, getGroupGames(teams, getPinnedResult)]));
+  const maxMargin = getMaxMargin(Math.max(...Object.values(groupGames).map(({ remaining }) => remaining.length)));
+  const margins = getMargins(maxMargin);
+  const groupOutcomes = Object.fromEntries(Object.entries(groups).map(([group, teams]) => [
+    group,
+    getGroupOutcomes(group, teams, groupGames[group], margins)
+  ]));
+  const winLossOutcomes = Object.fromEntries(Object.entries(groups).map(([group, teams]) => [
+    group,
+    getWinLossOutcomes(group, teams, groupGames[group])
+  ]));
+  const groupNames = Object.keys(groups);
+
+  // Points and point differences the teams in each position can finish with, for comparing positions across groups
+  const getDistinctStats = (stats) => [...new Map(stats.map(team => [`${team.points}|${team.pointDifference}`, team])).values()];
+  const positionStats = Object.fromEntries(groupNames.map(group => [group, format.advancement.map(({ position }) => getDistinctStats(
+    groupOutcomes[group].map(({ rankings }) => rankings[position - 1]).map(team => ({ points: team.points, pointDifference: team.scored - team.allowed }))
+  ))]));
+
+  // The same, decided by the winners only: the point difference is `null` unless the team in the position is known and done playing
+  const winLossPositionStats = Object.fromEntries(groupNames.map(group => [group, format.advancement.map(({ position }) => getDistinctStats(
+    [...winLossOutcomes[group].values()].map(standings => {
+      const teams = [...standings.values()];
+      const team = teams.find(({ best, worst }) => best === position && worst === position);
+      return { points: teams.map(({ points }) => points).sort((a, b) => b - a)[position - 1], pointDifference: team ? team.pointDifference : null };
+    })
+  ))]));
+
+  /**
+   * Whether a team finishing in a position of its group advances, whatever happens in the other groups.
+   * Teams of other groups are ahead when they have more points, or as many and a better point difference, or as good a one
+   * and an earlier group, like with `getAdvancingTeams`. The point differences are only compared when both are known.
+   *
+   * @param {object} team - The team, with its `group`, `position`, `points`, and point difference as `pointDifference`,
+   * which is `null` if it isn't known.
+   * @param {object} stats - The points and point differences the teams in each position can finish with, by group.
+   * @returns {string} `always`, `never` or `depends`.
+   */
+  const getPositionStatus = (team, stats) => {
+    const ruleIndex = format.advancement.findIndex(({ position }) => position === team.position);
+    if (ruleIndex === -1) {
+      return 'never';
+    }
+
+    const { count } = format.advancement[ruleIndex];
+    const groupIndex = groupNames.indexOf(team.group);
+    // Positive when the other team is ahead, negative when it's behind, and 0 when it depends on the margins
+    const isAhead = (other, otherGroupIndex) => other.points - team.points
+      || (other.pointDifference === null || team.pointDifference === null ? 0 : other.pointDifference - team.pointDifference || groupIndex - otherGroupIndex);
+
+    let [ahead, maybeAhead] = [0, 0];
+    groupNames.forEach((group, otherGroupIndex) => {
+      if (group === team.group) {
+        return;
+      }
+
+      const comparisons = stats[group][ruleIndex].map(other => isAhead(other, otherGroupIndex));
+      comparisons.every(comparison => comparison > 0) ? ahead += 1 : comparisons.some(comparison => comparison >= 0) && (maybeAhead += 1);
+    });
+
+    return ahead + maybeAhead < count ? 'always' : ahead >= count ? 'never' : 'depends';
+  };
+
+  // Many outcomes end with the same standing, so the statuses are cached
+  const [statuses, winLossStatuses] = [new Map(), new Map()];
+  const getCached = (cache, key, getStatus) => {
+    if (!cache.has(key)) {
+      cache.set(key, getStatus());
+    }
+
+    return cache.get(key);
+  };
+
+  /**
+   * Whether a team advances with its final standing in its group, when all margins have been worked through.
+   *
+   * @param {object} team - The team, as ranked by `rankTeams`.
+   * @returns {string} `always`, `never` or `depends`.
+   */
+  const getStatus = (team) => getCached(
+    statuses,
+    `${team.group}|${team.position}|${team.points}|${team.scored - team.allowed}`,
+    () => getPositionStatus({ ...team, pointDifference: team.scored - team.allowed }, positionStats)
+  );
+
+  /**
+   * Whether a team advances with the winners of the remaining games of its group, whatever the margins.
+   *
+   * @param {string} group - The name of the group.
+   * @param {string} isoCode - The ISO code of the team.
+   * @param {string} key - The winners of the remaining games, see `getWinLossKey`.
+   * @returns {object|null} The `status`, `always`, `never` or `depends` (with the team's `position`),
+   * or `null` if it depends on the margins.
+   */
+  const getWinLossStatus = (group, isoCode, key) => getCached(winLossStatuses, `${group}|${isoCode}|${key}`, () => {
+    const { points, best, worst, pointDifference } = winLossOutcomes[group].get(key).get(isoCode);
+    const positionStatuses = Array.from({ length: worst - best + 1 }, (_, i) => getPositionStatus(
+      { group, position: best + i, points, pointDifference },
+      winLossPositionStats
+    ));
+
+    if (positionStatuses.every(status => status === 'always') || positionStatuses.every(status => status === 'never')) {
+      return { status: positionStatuses[0] };
+    }
+
+    return best === worst ? { status: 'depends', position: best } : null;
+  });
+
+  const scenarios = Object.fromEntries(Object.entries(groups).map(([group, teams]) => {
+    const { remaining } = groupGames[group];
+
+    return [group, teams.map(({ Team, ISOCode }) => {
+      // Decided by the winners where possible, otherwise by the margins worked through, or by the tiebreakers before the last round
+      const outcomes = groupOutcomes[group].map(({ margins: outcomeMargins, rankings }) => {
+        const decided = getWinLossStatus(group, ISOCode, getWinLossKey(outcomeMargins));
+        if (decided) {
+          return { margins: outcomeMargins, ...decided };
+        }
+
+        if (maxMargin === 1) {
+          return { margins: outcomeMargins, status: 'tiebreak' };
+        }
+
+        const team = rankings.find(ranked => ranked.ISOCode === ISOCode);
+        return { margins: outcomeMargins, status: getStatus(team), position: team.position, approximate: true };
+      });
+      const approximate = outcomes.some(outcome => outcome.approximate);
+
+      // The team's own games first, turned around so that the margins are from its perspective
+      const ownGames = remaining.map((game, index) => index).filter(index => remaining[index].team2.ISOCode === ISOCode || remaining[index].team1.ISOCode === ISOCode);
+      const otherGames = remaining.map((game, index) => index).filter(index => !ownGames.includes(index));
+      const flipped = ownGames.filter(index => remaining[index].team2.ISOCode === ISOCode);
+      flipped.forEach(index => outcomes.forEach(outcome => {
+        outcome.margins = outcome.margins.map((margin, i) => i === index ? -margin : margin);
+      }));
+
+      const requirements = describeRequirements(outcomes, [...ownGames, ...otherGames], margins).map(requirement => requirement.map(condition => {
+        if (condition.type === 'rank') {
+          return { ...condition, count: format.advancement.find(({ position }) => position === condition.position).count };
+        }
+
+        if (condition.type === 'tiebreak') {
+          return condition;
+        }
+
+        const { team1, team2 } = remaining[condition.game];
+        const [first, second] = flipped.includes(condition.game) ? [team2, team1] : [team1, team2];
+        return { type: 'game', team1: first.ISOCode, team2: second.ISOCode, min: condition.min, max: condition.max };
+      }));
+
+      const status = requirements.length === 0
+        ? approximate ? 'probablyEliminated' : 'eliminated'
+        : requirements.some(requirement => requirement.length === 0) ? approximate ? 'probablyQualified' : 'qualified' : 'needs';
+      return { Team, ISOCode, status, approximate, requirements: status === 'needs' ? requirements : [] };
+    })];
+  }));
+
+  return {
+    playedGames: Object.values(groupGames).reduce((sum, { played }) => sum + played.length, 0),
+    remainingGames: Object.values(groupGames).reduce((sum, { remaining }) => sum + remaining.length, 0),
+    maxMargin,
+    groups: scenarios
+  };
+}
@@ -0,0 +1,84 @@
+'use strict';
+
+const DAY_LENGTH = 24 * 60 * 60 * 1000;
+
+/**
+ * Converts a date in the DD/MM/YY format used by exhibitions.json and the calendar to a day number, for counting days between games.
+ *
+ * @param {string} date - The date, e.g. "27/07/24".
+ * @returns {number} The number of days since 1 January 1970.
+ */
+const toDayNumber = (date) => {
+  const [day, month, year] = date.split('/').map(Number);
+  return Date.UTC(2000 + year, month - 1, day) / DAY_LENGTH;
+}
+
+/**
+ * Creates the schedule of a tournament from the `calendar` and `modifiers` of its format. The schedule keeps track of the last game day
+ * of every team, so each tournament needs its own.
+ *
+ * The calendar lists the game days, each with a `date` (DD/MM/YY), a `venue` and the `stage` played on it: `group` with the `round`
+ * (and the `groups` playing it, all of them if not given), or an elimination stage like `quarterfinals` or `bronze`.
+ * The modifiers change the score of a team in a game, and only apply to games on the calendar:
+ * - `hostAdvantage`: `points` for the host nations, by ISO code in `teams`.
+ * - `backToBack`: `points` taken from a team that played the day before.
+ * - `rest`: `pointsPerDay` taken from a team for every day of rest it had less than `days`, e.g. with a single day between
+ *   the semifinals and the medal games. Before their first game, teams are fully rested.
+ *
+ * @param {object} format - The tournament format, see formats/olympic.json. Without a `calendar`, games have no dates and no modifiers.
+ * @returns {object} The schedule:
+ *   - `getGameDay(stage, game)`: The game day (`date` and `venue`) of a game in a stage, with the `group` and `round` of group games,
+ *     or `undefined` if it isn't on the calendar.
+ *   - `getAdjustment(team, gameDay)`: The points added to the team's score on the game day, negative for tired teams.
+ *   - `recordGame(team, gameDay)`: Records that the team played on the game day.
+ *
+ * @example
+ * const schedule = createSchedule(format); // formats/olympicModifiers.json
+ * const gameDay = schedule.getGameDay('semifinals'); // { date: '08/08/24', venue: 'Paris' }
+ * schedule.getAdjustment({ ISOCode: 'FRA' }, gameDay); // 3
+ * schedule.recordGame({ ISOCode: 'FRA' }, gameDay);
+ */
+export const createSchedule = ({ calendar = [], modifiers = {} }) => {
+  const { hostAdvantage, backToBack, rest } = modifiers;
+  const lastGameDays = new Map();
+
+  const getGameDay = (stage, { group, round } = {}) => {
+    const day = calendar.find(entry => entry.stage === stage
+      && (stage !== 'group' || (entry.round === round && (entry.groups === undefined || entry.groups.includes(group)))));
+
+    return day && { date: day.date, venue: day.venue };
+  };
+
+  const getAdjustment = (team, gameDay) => {
+    if (!gameDay) {
+      return 0;
+    }
+
+    const lastGameDay = lastGameDays.get(team.ISOCode);
+    // A game day before the team's last one, from games listed out of order, counts as no rest
+    const restDays = lastGameDay === undefined ? Infinity : Math.max(toDayNumber(gameDay.date) - lastGameDay - 1, 0);
+    let adjustment = 0;
+
+    if (hostAdvantage && hostAdvantage.teams.includes(team.ISOCode)) {
+      adjustment += hostAdvantage.points;
+    }
+
+    if (backToBack && restDays === 0) {
+      adjustment -= backToBack.points;
+    }
+
+    if (rest && restDays < rest.days) {
+      adjustment -= (rest.days - restDays) * rest.pointsPerDay;
+    }
+
+    return adjustment;
+  };
+
+  const recordGame = (team, gameDay) => {
+    if (gameDay) {
+      lastGameDays.set(team.ISOCode, toDayNumber(gameDay.date));
+    }
+  };
+
+  return { getGameDay, getAdjustment, recordGame };
+}
@@ -0,0 +1,231 @@
+'use strict';
+
+import { randomUUID } from 'crypto';
+import http from 'http';
+import { generateSeed, parseSeed } from './random.js';
+
+// Largest accepted request body, groups and exhibitions of a World Cup fit easily
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Simulations run on the server's only thread, so Monte Carlo requests are capped to keep it responsive
+const MAX_RUNS = 10000;
+
+// Oldest runs are forgotten once this many are stored
+const MAX_STORED_RUNS = 100;
+
+/**
+ * Creates an error that is sent to the client with the given status code.
+ *
+ * @param {number} status - The HTTP status code, e.g. 400.
+ * @param {string} message - The error message.
+ * @param {object} [details] - Extra properties of the error response, e.g. `problems`.
+ * @returns {Error} The error, with `status` and `details` properties.
+ */
+const createHttpError = (status, message, details = {}) => Object.assign(new Error(message), { status, details });
+
+/**
+ * Sends a JSON response. Any origin is allowed, so that the API can be called from a browser tool.
+ *
+ * @param {http.ServerResponse} response - The response to send.
+ * @param {number} status - The HTTP status code.
+ * @param {object} [body] - The response body, nothing is sent if it's `undefined`.
+ * @param {object} [headers] - Extra response headers.
+ */
+const sendJson = (response, status, body, headers = {}) => {
+  response.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    ...(body !== undefined && { 'Content-Type': 'application/json; charset=utf-8' }),
+    ...headers
+  });
+  response.end(body === undefined ? undefined : JSON.stringify(body, null, 2));
+}
+
+/**
+ * Reads the request body and parses it as JSON.
+ *
+ * @param {http.IncomingMessage} request - The request to read.
+ * @returns {Promise<*>} The parsed body.
+ * @throws {Error} With status 413 if the body is larger than `MAX_BODY_SIZE`, or 400 if it isn't valid JSON.
+ */
+const readJsonBody = async (request) => {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      throw createHttpError(413, `Request body is larger than ${MAX_BODY_SIZE} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    throw createHttpError(400, `Request body is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Checks whether a value is a plain JSON object, and not `null` or an array.
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} `true` for objects.
+ */
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Checks the body of a simulation request and fills in the defaults.
+ * The contents of the groups and exhibitions are checked later, together with the tournament format (see `validateData`).
+ *
+ * @param {*} body - The parsed request body.
+ * @param {Array<string>} models - The names of the available team strength models.
+ * @returns {object} The simulation settings: `groups`, `exhibitions`, `seed` (generated if not given), `model` (`form` if not given)
+ * and `runs` (`undefined` for a single run).
+ * @throws {Error} With status 400 for the first invalid field.
+ */
+const parseSimulationRequest = (body, models) => {
+  if (!isObject(body)) {
+    throw createHttpError(400, 'Request body should be a JSON object');
+  }
+
+  const { groups, exhibitions, seed, model = 'form', runs } = body;
+
+  if (!isObject(groups)) {
+    throw createHttpError(400, '"groups" should be an object with group names as keys and arrays of teams as values');
+  }
+
+  if (!isObject(exhibitions)) {
+    throw createHttpError(400, '"exhibitions" should be an object with ISO codes as keys and arrays of games as values');
+  }
+
+  if (!models.includes(model)) {
+    throw createHttpError(400, `Invalid "model" "${model}", expected one of: ${models.join(', ')}`);
+  }
+
+  if (runs !== undefined && (!Number.isInteger(runs) || runs < 1 || runs > MAX_RUNS)) {
+    throw createHttpError(400, `Invalid "runs" "${runs}", expected an integer between 1 and ${MAX_RUNS}`);
+  }
+
+  try {
+    return { groups, exhibitions, seed: seed === undefined ? generateSeed() : parseSeed(String(seed)), model, runs };
+  } catch (error) {
+    throw createHttpError(400, error.message);
+  }
+}
+
+/**
+ * Creates the HTTP API for running simulations. Every simulation gets an id, under which its reports are kept in memory.
+ *
+ * - `POST /simulate`: Simulates a tournament with the `groups`, `exhibitions`, `seed`, `model` and `runs` in the JSON body.
+ *   Responds with `201` and the run id. A single run is always simulated, and with `runs` the Monte Carlo probabilities as well.
+ * - `GET /runs/:id`: The report of the single run, as with `--format json`.
+ * - `GET /runs/:id/probabilities`: The Monte Carlo report, as with `--runs` and `--format json`.
+ *
+ * Errors are sent as `{ "error": message }`, with `problems` if the groups or exhibitions are invalid (status 422).
+ *
+ * @param {object} simulator - The simulation pipeline, provided by main.js.
+ * @param {function(object): object} simulator.simulate - Simulates a tournament with the request settings,
+ * and returns the `problems` with the data, or the `report` and the `probabilityReport` (`null` without `runs`).
+ * @param {Array<string>} simulator.models - The names of the available team strength models.
+ * @returns {http.Server} The server, not yet listening.
+ *
+ * @example
+ * createServer({ simulate, models: ['form', 'elo'] }).listen(3000);
+ * // curl -X POST localhost:3000/simulate -d '{ "groups": {...}, "exhibitions": {...}, "seed": 42, "runs": 1000 }'
+ * // { "id": "b3c5...", "seed": 42, "run": "/runs/b3c5...", "probabilities": "/runs/b3c5.../probabilities" }
+ */
+export const createServer = ({ simulate, models }) => {
+  const runs = new Map();
+
+  const routes = [
+    {
+      pattern: /^\/simulate$/,
+      method: 'POST',
+      handle: async (request) => {
+        const settings = parseSimulationRequest(await readJsonBody(request), models);
+        const { problems, report, probabilityReport } = simulate(settings);
+
+        if (problems) {
+          throw createHttpError(422, 'Invalid tournament data', { problems });
+        }
+
+        const id = randomUUID();
+        runs.set(id, { report, probabilityReport });
+        if (runs.size > MAX_STORED_RUNS) {
+          runs.delete(runs.keys().next().value);
+        }
+
+        return [201, {
+          id,
+          seed: settings.seed,
+          run: `/runs/${id}`,
+          probabilities: probabilityReport ? `/runs/${id}/probabilities` : null
+        }, { Location: `/runs/${id}` }];
+      }
+    },
+    {
+      pattern: /^\/runs\/([^/]+)$/,
+      method: 'GET',
+      handle: (request, id) => {
+        if (!runs.has(id)) {
+          throw createHttpError(404, `Run "${id}" not found`);
+        }
+
+        return [200, runs.get(id).report];
+      }
+    },
+    {
+      pattern: /^\/runs\/([^/]+)\/probabilities$/,
+      method: 'GET',
+      handle: (request, id) => {
+        if (!runs.has(id)) {
+          throw createHttpError(404, `Run "${id}" not found`);
+        }
+
+        const { probabilityReport } = runs.get(id);
+        if (!probabilityReport) {
+          throw createHttpError(404, `Run "${id}" was simulated without "runs", so it has no probabilities`);
+        }
+
+        return [200, probabilityReport];
+      }
+    }
+  ];
+
+  return http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const matches = routes
+      .map(route => ({ route, params: route.pattern.exec(pathname) }))
+      .filter(({ params }) => params);
+
+    try {
+      if (matches.length === 0) {
+        throw createHttpError(404, `Unknown path "${pathname}"`);
+      }
+
+      const allowed = matches.map(({ route }) => route.method);
+
+      // Browsers ask before sending a JSON body from another origin
+      if (request.method === 'OPTIONS') {
+        sendJson(response, 204, undefined, {
+          'Access-Control-Allow-Methods': allowed.join(', '),
+          'Access-Control-Allow-Headers': 'Content-Type'
+        });
+        return;
+      }
+
+      const match = matches.find(({ route }) => route.method === request.method);
+      if (!match) {
+        sendJson(response, 405, { error: `${request.method} is not allowed for "${pathname}"` }, { Allow: allowed.join(', ') });
+        return;
+      }
+
+      const [status, body, headers] = await match.route.handle(request, ...match.params.slice(1));
+      sendJson(response, status, body, headers);
+    } catch (error) {
+      const status = error.status ?? 500;
+      sendJson(response, status, { error: error.message, ...error.details });
+    }
+  });
+}
@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { fitModelConfig, runBacktest } from '../backtest.js';
+import { createModelConfig, DEFAULT_MODEL_CONFIG } from '../modelConfig.js';
+import { Tournament } from '../tournament.js';
+import readJson from './readJson.js';
+
+const groups = readJson('test/fixtures/groups.json');
+const exhibitions = readJson('test/fixtures/exhibitions.json');
+const results = readJson('results2024.json');
+
+describe('runBacktest', () => {
+  it('forecasts every game in the order of the file', () => {
+    const { games, metrics } = runBacktest(groups, exhibitions, results, { seed: 1, simulations: 20 });
+
+    assert.equal(games.length, 26);
+    assert.deepEqual(games.at(-1), { ...games.at(-1), stage: 'finals', team1: 'FRA', team2: 'USA', score1: 87, score2: 98 });
+    games.forEach(game => assert.ok(game.winProbability >= 0 && game.winProbability <= 1));
+    assert.ok(metrics.brier >= 0 && metrics.brier <= 1);
+    assert.ok(metrics.logLoss > 0 && metrics.marginError > 0 && metrics.totalError > 0);
+  });
+
+  it('forecasts a game from the real results before it, not the simulations', () => {
+    const [firstGame] = results.group;
+    const { games } = runBacktest(groups, exhibitions, { group: [firstGame, firstGame] }, { seed: 1, simulations: 100 });
+
+    // Australia won, so its form goes up for the rematch
+    assert.ok(games[1].margin > games[0].margin);
+    assert.deepEqual(runBacktest(groups, exhibitions, results, { seed: 1, simulations: 100 }).games[0], games[0]);
+  });
+
+  it('forecasts games on the calendar with the modifiers of the format', () => {
+    const format = readJson('formats/olympic.json');
+    const hosted = { ...format, modifiers: { hostAdvantage: { teams: ['GRE'], points: 100 } } };
+    const forecast = (options) => runBacktest(groups, exhibitions, results, { seed: 1, simulations: 20, ...options }).games;
+    const isGreece = (game) => game.team1 === 'GRE' || game.team2 === 'GRE';
+
+    assert.deepEqual(forecast({ format }), forecast({}));
+    forecast({ format: hosted }).filter(isGreece).forEach(game => assert.equal(game.winProbability, game.team1 === 'GRE' ? 1 : 0));
+  });
+
+  it('dates the group games by the order they were played in', () => {
+    const format = readJson('formats/olympic.json');
+    // Group games of a team are at least two rest days apart, so only games on the wrong days would lose points
+    const tired = { ...format, modifiers: { rest: { days: 2, pointsPerDay: 100 } } };
+    const groupGames = (options) => runBacktest(groups, exhibitions, results, { seed: 1, simulations: 20, ...options }).games
+      .filter(game => game.stage === 'group');
+
+    assert.deepEqual(groupGames({ format: tired }), groupGames({ format }));
+  });
+});
+
+describe('fitModelConfig', () => {
+  it('is never worse than the config it starts from', () => {
+    const options = { seed: 3, simulations: 20, trials: 10, metric: 'brier' };
+    const baseline = runBacktest(groups, exhibitions, results, options).metrics;
+    const { modelConfig, metrics } = fitModelConfig(groups, exhibitions, results, options);
+
+    assert.ok(metrics.brier <= baseline.brier);
+    assert.deepEqual(runBacktest(groups, exhibitions, results, { ...options, modelConfig }).metrics, metrics);
+    assert.deepEqual(Object.keys(modelConfig), Object.keys(DEFAULT_MODEL_CONFIG));
+  });
+
+  it('only fits the constants the model reads', () => {
+    const options = { model: 'elo', seed: 3, simulations: 20, trials: 10 };
+    const { modelConfig, metrics } = fitModelConfig(groups, exhibitions, results, options);
+
+    assert.deepEqual(Object.keys(modelConfig), ['teamNoise', 'marginNoise', 'marginNoiseOffset']);
+    assert.deepEqual(runBacktest(groups, exhibitions, results, { ...options, modelConfig: createModelConfig(modelConfig, 'elo') }).metrics, metrics);
+  });
+});
+
+describe('createModelConfig', () => {
+  it('keeps the defaults for missing values', () => {
+    assert.deepEqual(createModelConfig({ formFactor: 0.1 }), { ...DEFAULT_MODEL_CONFIG, formFactor: 0.1 });
+  });
+
+  it('rejects unknown keys and values that are not numbers', () => {
+    assert.throws(() => createModelConfig({ homeAdvantage: 3 }), /Unknown model config "homeAdvantage"/);
+    assert.throws(() => createModelConfig({ teamNoise: '15' }), /Invalid model config teamNoise/);
+    assert.throws(() => createModelConfig([]), /should be an object/);
+  });
+
+  it('rejects weights the model doesn\'t read', () => {
+    assert.deepEqual(createModelConfig({ teamNoise: 12 }, 'elo'), { ...DEFAULT_MODEL_CONFIG, teamNoise: 12 });
+    assert.throws(() => createModelConfig({ rankWeight: 1 }, 'elo'), /"rankWeight" isn't used by the elo model/);
+  });
+
+  it('rejects random ranges that could leave an overtime tied forever', () => {
+    assert.throws(() => createModelConfig({ teamNoise: 5 }), /teamNoise "5", expected at least 9/);
+    assert.throws(() => createModelConfig({ marginNoise: -1 }), /marginNoise "-1", expected at least 0/);
+  });
+
+  it('changes the simulated games', () => {
+    const play = (modelConfig) => new Tournament(groups, exhibitions, { seed: 4, modelConfig }).playGroupStage().groupResults;
+
+    assert.deepEqual(play(createModelConfig()), play(undefined));
+    assert.notDeepEqual(play(createModelConfig({ rankWeight: 3 })), play(undefined));
+  });
+});
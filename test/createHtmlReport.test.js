@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createHtmlReport } from '../createHtmlReport.js';
+import { createProbabilityReport, createReport } from '../createReport.js';
+import { createTranslator } from '../i18n.js';
+import { runMonteCarlo, Tournament } from '../tournament.js';
+import readJson from './readJson.js';
+
+const groups = readJson('test/fixtures/groups.json');
+const exhibitions = readJson('test/fixtures/exhibitions.json');
+const settings = { seed: 11, model: 'form', tournament: 'Olympic Games', runs: 20 };
+const report = createReport(new Tournament(groups, exhibitions, { seed: 11 }).play(), groups, settings);
+
+describe('createHtmlReport', () => {
+  it('draws every elimination game in the bracket, without loading anything', () => {
+    const html = createHtmlReport(report, null, 'node main.js --seed 11', createTranslator('en'));
+    const svg = html.match(/<svg.*<\/svg>/s)[0];
+
+    assert.equal(svg.match(/<rect /g).length, report.knockout.length);
+    assert.ok(svg.includes('Bronze medal game'));
+    assert.doesNotMatch(html, /<(script|link|img)\b|src=|@import/);
+    assert.doesNotMatch(html, /Probabilities/);
+  });
+
+  it('adds probability bars with a Monte Carlo report, and escapes team names', () => {
+    const probabilityReport = createProbabilityReport(runMonteCarlo(groups, exhibitions, { seed: 11 }, 20), settings);
+    const translator = { ...createTranslator('en'), teamName: (isoCode, name) => isoCode === 'SRB' ? '<Serbia & Co>' : name };
+    const html = createHtmlReport(report, probabilityReport, 'node main.js --seed 11 --runs 20', translator);
+
+    assert.match(html, /Probabilities after 20 simulations/);
+    // Quarterfinals, semifinals, finals and the three medals for every team
+    assert.equal(html.match(/class="bar"/g).length, 12 * 6);
+    assert.ok(html.includes('&lt;Serbia &amp; Co&gt;'));
+    assert.ok(!html.includes('<Serbia'));
+  });
+
+  it('labels the standings in the chosen language', () => {
+    const html = createHtmlReport(report, null, 'node main.js --seed 11', createTranslator('sr'));
+
+    assert.match(html, /<th class="number">Pob<\/th><th class="number">Por<\/th><th class="number">Bod<\/th>/);
+    assert.doesNotMatch(html, />(W|L|Pts)</);
+  });
+});
@@ -0,0 +1,32 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createEloModel } from '../eloModel.js';
+
+describe('createEloModel', () => {
+  const favourite = { ISOCode: 'USA', FIBARanking: 1 };
+
+  it('moves the ratings toward the winner of an upset, however far apart the teams are ranked', () => {
+    // From rank 85 on, the rating gap to the first team is more than 1250 points
+    for (const FIBARanking of [30, 85, 100, 150]) {
+      const underdog = { ISOCode: 'SSD', FIBARanking };
+      const model = createEloModel({ A: [favourite, underdog] }, {});
+      const before = { ...model.ratings };
+      model.update(underdog, favourite, 80, 70);
+
+      assert.ok(Number.isFinite(model.ratings.SSD) && Number.isFinite(model.ratings.USA));
+      assert.ok(model.ratings.SSD > before.SSD, `SSD at rank ${FIBARanking} went from ${before.SSD} to ${model.ratings.SSD}`);
+      assert.ok(model.ratings.USA < before.USA);
+    }
+  });
+
+  it('moves the ratings less when the favourite wins than after an upset', () => {
+    const underdog = { ISOCode: 'SSD', FIBARanking: 100 };
+    const play = (winner, loser) => {
+      const model = createEloModel({ A: [favourite, underdog] }, {});
+      model.update(winner, loser, 90, 70);
+      return Math.abs(model.ratings.USA - 1700);
+    };
+
+    assert.ok(play(favourite, underdog) < play(underdog, favourite));
+  });
+});
@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createFormModel, expectedPointDiff } from '../formModel.js';
+import readJson from './readJson.js';
+
+describe('expectedPointDiff', () => {
+  it('compares close rankings against the expected margin', () => {
+    assert.equal(expectedPointDiff(5, 7, 100, 98), -1);
+    assert.equal(expectedPointDiff(5, 7, 110, 90), 5);
+  });
+
+  it('gives nothing to a big favorite that wins by less than expected', () => {
+    assert.equal(expectedPointDiff(10, 30, 80, 70), 0);
+    assert.equal(expectedPointDiff(10, 30, 70, 80), 0);
+  });
+
+  it('rewards a big favorite that wins by more than expected', () => {
+    assert.equal(expectedPointDiff(10, 30, 90, 60), 10);
+  });
+
+  it('reads the score from the favorite when the home team is the underdog', () => {
+    assert.equal(expectedPointDiff(30, 10, 60, 90), 10);
+    assert.equal(expectedPointDiff(30, 10, 70, 80), 0);
+  });
+});
+
+describe('createFormModel', () => {
+  const groups = readJson('test/fixtures/groups.json');
+  const exhibitions = readJson('test/fixtures/exhibitions.json');
+
+  it('starts every team from its exhibition form', () => {
+    const model = createFormModel(groups, exhibitions);
+
+    assert.deepEqual(Object.keys(model.form).sort(), Object.values(groups).flat().map(team => team.ISOCode).sort());
+    // Serbia lost both exhibitions, one of them to the lower ranked Canada
+    assert.equal(model.form.SRB, -8);
+  });
+
+  it('favors the better ranked team when forms are equal', () => {
+    const model = createFormModel(groups, exhibitions);
+    const [usa, ssd] = [{ ISOCode: 'USA', FIBARanking: 1 }, { ISOCode: 'SSD', FIBARanking: 34 }];
+    model.form.USA = model.form.SSD = 0;
+
+    assert.equal(model.getPointSpread(usa, ssd), 2 * 33 * 0.65);
+    assert.equal(model.getPointSpread(ssd, usa), -2 * 33 * 0.65);
+  });
+
+  it('moves the form towards the margin of every game', () => {
+    const model = createFormModel(groups, exhibitions);
+    const [srb, ger] = [{ ISOCode: 'SRB' }, { ISOCode: 'GER' }];
+    const [srbForm, gerForm] = [model.form.SRB, model.form.GER];
+    model.update(srb, ger, 90, 70);
+
+    assert.equal(model.form.SRB, srbForm * (1 - 0.07) + 20 * 0.07);
+    assert.equal(model.form.GER, gerForm * (1 - 0.07) - 20 * 0.07);
+  });
+
+  it('keeps the forms of separate models apart', () => {
+    const [model1, model2] = [createFormModel(groups, exhibitions), createFormModel(groups, exhibitions)];
+    model1.update({ ISOCode: 'SRB' }, { ISOCode: 'GER' }, 100, 60);
+
+    assert.notEqual(model1.form.SRB, model2.form.SRB);
+  });
+});
@@ -0,0 +1,98 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createRoundRobin, getAdvancingTeams, getRoundRobinRounds, rankTeams } from '../groupStage.js';
+
+const team = (Team, FIBARanking) => ({ Team, ISOCode: Team, FIBARanking });
+const game = (team1, team2, score1, score2) => ({ team1, team2, score1, score2 });
+
+describe('getRoundRobinRounds', () => {
+  for (const size of [3, 4, 5, 6]) {
+    it(`pairs every two of ${size} teams exactly once`, () => {
+      const teams = Array.from({ length: size }, (_, i) => `T${i}`);
+      const rounds = getRoundRobinRounds(teams);
+      const pairs = rounds.flat().map(pair => [...pair].sort().join('-'));
+
+      assert.equal(pairs.length, size * (size - 1) / 2);
+      assert.equal(new Set(pairs).size, pairs.length);
+      rounds.forEach(round => assert.equal(new Set(round.flat()).size, round.length * 2));
+    });
+  }
+});
+
+describe('createRoundRobin', () => {
+  it('numbers the rounds and keeps the played results', () => {
+    const groups = { A: [team('A1', 1), team('A2', 2), team('A3', 3), team('A4', 4)] };
+    const results = createRoundRobin(groups, (team1, team2) => ({ team1: team1.FIBARanking, team2: 0, overtimes: 0 }));
+
+    assert.deepEqual(results.A.map(match => match.round), [1, 1, 2, 2, 3, 3]);
+    assert.deepEqual(results.A[0], { round: 1, team1: 'A1', team2: 'A4', score1: 1, score2: 0, overtimes: 0, details: undefined });
+  });
+});
+
+describe('rankTeams', () => {
+  it('awards 2 points for a win and ranks by points', () => {
+    const groups = { A: [team('A', 1), team('B', 2), team('C', 3)] };
+    const results = { A: [game('A', 'B', 80, 70), game('B', 'C', 90, 60), game('C', 'A', 84, 85)] };
+    const rankings = rankTeams(groups, results);
+
+    assert.deepEqual(rankings.A.map(t => [t.Team, t.points, t.wins, t.losses]), [['A', 4, 2, 0], ['B', 2, 1, 1], ['C', 0, 0, 2]]);
+    assert.deepEqual(rankings.A.map(t => t.position), [1, 2, 3]);
+  });
+
+  it('breaks a two-way tie by the game between the teams, not by points scored overall', () => {
+    const groups = { A: [team('A', 1), team('B', 2), team('C', 3), team('D', 4)] };
+    const results = {
+      A: [
+        game('A', 'B', 70, 71),
+        game('A', 'C', 120, 60),
+        game('B', 'D', 60, 70),
+        game('C', 'D', 70, 60),
+        game('A', 'D', 90, 80),
+        game('B', 'C', 75, 70)
+      ]
+    };
+    const rankings = rankTeams(groups, results);
+
+    // A and B have 4 points each, A scored far more overall, but B won the game between them
+    assert.deepEqual(rankings.A.map(t => t.Team), ['B', 'A', 'C', 'D']);
+    assert.deepEqual(rankings.A.slice(0, 2).map(t => t.tiebreaker), ['headToHead', 'headToHead']);
+  });
+
+  it('breaks a three-way tie by the point difference of the games between the tied teams', () => {
+    const groups = { A: [team('ESP', 1), team('AUS', 2), team('CAN', 3), team('GRE', 4)] };
+    const results = {
+      A: [
+        game('ESP', 'AUS', 80, 77),
+        game('AUS', 'CAN', 90, 70),
+        game('CAN', 'ESP', 85, 80),
+        game('ESP', 'GRE', 120, 60),
+        game('AUS', 'GRE', 70, 69),
+        game('CAN', 'GRE', 80, 79)
+      ]
+    };
+    const rankings = rankTeams(groups, results);
+
+    assert.deepEqual(rankings.A.map(t => t.Team), ['AUS', 'ESP', 'CAN', 'GRE']);
+    assert.deepEqual(rankings.A.map(t => t.tiebreaker), ['headToHeadDifference', 'headToHeadDifference', 'headToHeadDifference', 'points']);
+  });
+
+  it('falls back to the FIBA ranking when everything else is level', () => {
+    const groups = { A: [team('A', 9), team('B', 3)] };
+    const rankings = rankTeams(groups, { A: [] });
+
+    assert.deepEqual(rankings.A.map(t => [t.Team, t.tiebreaker]), [['B', 'FIBARanking'], ['A', 'FIBARanking']]);
+  });
+});
+
+describe('getAdvancingTeams', () => {
+  it('advances the best teams of every position by points and point difference', () => {
+    const ranked = (Team, group, position, points, scored, allowed) => ({ Team, group, position, points, scored, allowed });
+    const rankings = {
+      A: [ranked('A1', 'A', 1, 6, 270, 230), ranked('A2', 'A', 2, 4, 250, 240), ranked('A3', 'A', 3, 2, 240, 245)],
+      B: [ranked('B1', 'B', 1, 6, 280, 220), ranked('B2', 'B', 2, 2, 230, 240), ranked('B3', 'B', 3, 2, 235, 236)]
+    };
+    const format = { advancement: [{ position: 1, count: 2 }, { position: 2, count: 2 }, { position: 3, count: 1 }] };
+
+    assert.deepEqual(getAdvancingTeams(rankings, format).map(t => t.Team), ['B1', 'A1', 'A2', 'B2', 'B3']);
+  });
+});
@@ -0,0 +1,80 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createTranslator } from '../i18n.js';
+import runInteractive from '../interactive.js';
+import readJson from './readJson.js';
+
+const groups = readJson('test/fixtures/groups.json');
+const exhibitions = readJson('test/fixtures/exhibitions.json');
+const format = readJson('formats/olympic.json');
+const translator = createTranslator('en');
+
+// Plays a session with the given answers, continuing once they run out, with the console output muted
+const play = (t, answers, options = {}) => {
+  t.mock.method(console, 'log', () => {});
+  const remaining = [...answers];
+  return runInteractive(groups, exhibitions, { format, seed: 8, ...options }, translator, async () => remaining.shift() ?? 'c');
+};
+
+const findGame = (groupResults, team1, team2) => Object.values(groupResults).flat()
+  .find(match => match.team1 === team1 && match.team2 === team2);
+
+describe('runInteractive', () => {
+  it('plays the whole tournament when every step is accepted', async (t) => {
+    const { groupRankings, eliminationResults } = await play(t, []);
+
+    Object.values(groupRankings).forEach(rankings => assert.equal(rankings.reduce((sum, team) => sum + team.points, 0), 12));
+    assert.deepEqual(Object.keys(eliminationResults), ['quarterfinals', 'semifinals', 'finals', 'bronze']);
+  });
+
+  it('uses overridden scores for the rankings and the form of the teams', async (t) => {
+    const accepted = await play(t, []);
+    const [firstGame] = accepted.groupResults.A;
+    const overridden = await play(t, ['o', '1 40-130']);
+    const game = findGame(overridden.groupResults, firstGame.team1, firstGame.team2);
+    const loser = overridden.groupRankings.A.find(team => team.Team === firstGame.team1);
+
+    assert.deepEqual([game.score1, game.score2], [40, 130]);
+    assert.ok(loser.allowed >= 130);
+    // The first team's form dropped, so its later games play out differently
+    assert.notDeepEqual(overridden.groupResults.A.slice(2), accepted.groupResults.A.slice(2));
+  });
+
+  it('overrides a game of a later round by the number it is listed with', async (t) => {
+    const accepted = await play(t, ['c']);
+    const [secondRoundGame] = accepted.groupResults.A.filter(match => match.round === 2);
+    const overridden = await play(t, ['c', 'o', '7 50-120']);
+    const game = findGame(overridden.groupResults, secondRoundGame.team1, secondRoundGame.team2);
+
+    assert.deepEqual([game.score1, game.score2], [50, 120]);
+    const names = Object.fromEntries(Object.values(groups).flat().map(team => [team.Team, translator.teamName(team.ISOCode, team.Team)]));
+    const listed = `7. ${names[secondRoundGame.team1]} - ${names[secondRoundGame.team2]}`;
+    assert.ok(console.log.mock.calls.some(call => call.arguments[0].trim().startsWith(listed)), listed);
+
+    // Numbers of the first round aren't listed in the second one
+    assert.equal(await play(t, ['c', 'o', '1 50-120', 'q']), null);
+    assert.ok(console.log.mock.calls.some(call => call.arguments[0].includes('from 7 to 12')));
+  });
+
+  it('simulates a step again, keeping the steps accepted before it', async (t) => {
+    const accepted = await play(t, []);
+    const resimulated = await play(t, ['c', 'r']);
+    const roundGames = (run, round) => Object.values(run.groupResults).flat().filter(match => match.round === round);
+
+    assert.deepEqual(roundGames(resimulated, 1), roundGames(accepted, 1));
+    assert.notDeepEqual(roundGames(resimulated, 2), roundGames(accepted, 2));
+  });
+
+  it('sends the winner of an overridden knockout game to the next stage', async (t) => {
+    // Three rounds, the standings and the draw, then the first quarterfinal is won by the second team
+    const run = await play(t, ['c', 'c', 'c', 'c', 'c', 'o', '1 50-51']);
+    const [quarterfinal] = run.eliminationResults.quarterfinals;
+
+    assert.deepEqual([quarterfinal.result.team1, quarterfinal.result.team2], [50, 51]);
+    assert.equal(run.eliminationResults.semifinals[0].match[0], quarterfinal.match[1]);
+  });
+
+  it('rejects invalid overrides and stops when the user quits', async (t) => {
+    assert.equal(await play(t, ['o', '99 80-70', 'o', '1 80-80', 'x', 'q']), null);
+  });
+});
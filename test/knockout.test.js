@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { getEliminationMatches, getEliminationResults, getPots, getStageNames } from '../knockout.js';
+import { createRandom } from '../random.js';
+import readJson from './readJson.js';
+
+// Advancing teams of the Olympic format, where both teams of pot G come from the groups of the pot D teams
+const olympicTeams = [
+  { Team: 'USA', group: 'C', position: 1 },
+  { Team: 'GER', group: 'B', position: 1 },
+  { Team: 'CAN', group: 'A', position: 1 },
+  { Team: 'FRA', group: 'B', position: 2 },
+  { Team: 'AUS', group: 'A', position: 2 },
+  { Team: 'SRB', group: 'C', position: 2 },
+  { Team: 'BRA', group: 'B', position: 3 },
+  { Team: 'GRE', group: 'C', position: 3 }
+];
+
+describe('getPots', () => {
+  it('splits the advancing teams by overall rank', () => {
+    const pots = getPots(olympicTeams, readJson('formats/olympic.json').seeding);
+
+    assert.deepEqual(Object.fromEntries(Object.entries(pots).map(([pot, teams]) => [pot, teams.map(t => t.Team)])), {
+      D: ['USA', 'GER'],
+      E: ['CAN', 'FRA'],
+      F: ['AUS', 'SRB'],
+      G: ['BRA', 'GRE']
+    });
+  });
+});
+
+describe('getEliminationMatches', () => {
+  const format = readJson('formats/olympic.json');
+
+  it('never draws two teams from the same group against each other', () => {
+    for (let seed = 0; seed < 200; seed++) {
+      const bracket = getEliminationMatches(olympicTeams, format, createRandom(seed));
+
+      bracket.forEach(([team1, team2]) => assert.notEqual(team1.group, team2.group, `seed ${seed}: ${team1.Team} - ${team2.Team}`));
+    }
+  });
+
+  it('puts one matchup of every draw in each half of the bracket', () => {
+    for (let seed = 0; seed < 50; seed++) {
+      const bracket = getEliminationMatches(olympicTeams, format, createRandom(seed));
+      const potOf = (team) => ['D', 'E', 'F', 'G'][Math.floor(olympicTeams.indexOf(team) / 2)];
+      const draws = bracket.map(([team1, team2]) => potOf(team1) + potOf(team2));
+
+      assert.deepEqual(draws, ['DG', 'EF', 'DG', 'EF']);
+      assert.equal(new Set(bracket.flat()).size, 8);
+    }
+  });
+
+  it('fills a fixed bracket from group positions and overall ranks', () => {
+    const teams = [
+      { Team: 'A1', group: 'A', position: 1 },
+      { Team: 'B1', group: 'B', position: 1 },
+      { Team: 'A2', group: 'A', position: 2 },
+      { Team: 'B2', group: 'B', position: 2 }
+    ];
+    const fixed = { seeding: { type: 'fixed', bracket: [['1A', '2B'], ['#2', '#3']] } };
+
+    assert.deepEqual(getEliminationMatches(teams, fixed, createRandom(1)).map(match => match.map(t => t.Team)), [['A1', 'B2'], ['B1', 'A2']]);
+  });
+});
+
+describe('getEliminationResults', () => {
+  it('advances the winners of consecutive matchups and plays the bronze game between the semifinal losers', () => {
+    const teams = Array.from({ length: 8 }, (_, i) => ({ Team: `T${i}`, strength: 8 - i }));
+    const bracket = [[teams[0], teams[7]], [teams[3], teams[4]], [teams[1], teams[6]], [teams[2], teams[5]]];
+    const results = getEliminationResults(bracket, (team1, team2) => ({ team1: 80 + team1.strength, team2: 80 + team2.strength, overtimes: 0 }));
+    const names = (stage) => results[stage].map(({ match }) => match.map(t => t.Team));
+
+    assert.deepEqual(Object.keys(results), ['quarterfinals', 'semifinals', 'finals', 'bronze']);
+    assert.deepEqual(names('semifinals'), [['T0', 'T3'], ['T1', 'T2']]);
+    assert.deepEqual(names('finals'), [['T0', 'T1']]);
+    assert.deepEqual(names('bronze'), [['T3', 'T2']]);
+  });
+});
+
+describe('getStageNames', () => {
+  it('names the stages of a bracket in the order they are played', () => {
+    assert.deepEqual(getStageNames(8), ['quarterfinals', 'semifinals', 'finals']);
+    assert.deepEqual(getStageNames(32), ['roundOf32', 'roundOf16', 'quarterfinals', 'semifinals', 'finals']);
+  });
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, describe, it } from 'node:test';
+import readJson from './readJson.js';
+
+const root = new URL('..', import.meta.url);
+
+// Runs main.js from the repository root and returns what it prints
+const run = (args) => execFileSync(process.execPath, ['main.js', ...args], { cwd: root, encoding: 'utf8' });
+
+// Runs main.js and returns its exit code and error output, for runs that fail
+const fail = (args) => {
+  const { status, stderr } = spawnSync(process.execPath, ['main.js', ...args], { cwd: root, encoding: 'utf8' });
+  return { status, stderr };
+};
+
+// Runs the replay command printed by a run, e.g. "node main.js --seed 42 --model form --lang en"
+const replay = (output) => {
+  const [, command] = output.match(/replay with: (node main\.js [^)]*)\)/);
+  return run(command.split(' ').slice(2));
+};
+
+describe('main', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tournament-'));
+  const file = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, JSON.stringify(content));
+    return filePath;
+  };
+  const groups = file('groups.json', readJson('test/fixtures/groups.json'));
+  const exhibitions = file('exhibitions.json', readJson('test/fixtures/exhibitions.json'));
+  const results = file('results.json', { group: [{ Team: 'SRB', Opponent: 'SSD', Result: '80-90' }] });
+  const modelConfig = file('modelConfig.json', { teamNoise: 20 });
+
+  after(() => fs.rmSync(dir, { recursive: true }));
+
+  it('prints a command that replays the run with all its options', () => {
+    const output = run([
+      '--seed', '12', '--lang', 'en', '--tournament', 'formats/olympicModifiers.json', '--groups', groups, '--exhibitions', exhibitions,
+      '--results', results, '--model-config', modelConfig, '--detailed'
+    ]);
+
+    assert.equal(replay(output), output);
+  });
+
+  it('prints a command that replays the Monte Carlo report', () => {
+    const out = path.join(dir, 'report.html');
+    run(['--seed', '12', '--lang', 'en', '--model', 'elo', '--runs', '20', '--format', 'html', '--out', out]);
+    const report = fs.readFileSync(out, 'utf8');
+    fs.rmSync(out);
+
+    replay(report);
+    assert.equal(fs.readFileSync(out, 'utf8'), report);
+  });
+
+  it('reports invalid options in one line, without a stack trace', () => {
+    assert.deepEqual(fail(['--runs', 'abc']), { status: 1, stderr: 'Invalid --runs "abc", expected a positive integer\n' });
+    assert.deepEqual(fail(['--seed=-1']), { status: 1, stderr: 'Invalid seed "-1", expected an integer between 0 and 4294967295\n' });
+    assert.deepEqual(fail(['--lang', 'de']), { status: 1, stderr: 'Invalid --lang "de", expected one of: sr, en\n' });
+    assert.equal(fail(['--seed', '-1']).status, 1);
+    assert.doesNotMatch(fail(['--seed', '-1']).stderr, /\n\s+at /);
+  });
+
+  it('reports files that can\'t be parsed as invalid data', () => {
+    const groups = path.join(dir, 'broken.json');
+    fs.writeFileSync(groups, '{ "A": [');
+    const { status, stderr } = fail(['--lang', 'en', '--groups', groups]);
+
+    assert.equal(status, 1);
+    assert.match(stderr, /^Invalid data, the simulation was not started \(1\):\n {4}\S+broken\.json - - - file: .*JSON.*\n$/);
+  });
+});
@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { simulateMatch } from '../match.js';
+import { createRandom } from '../random.js';
+import readJson from './readJson.js';
+
+const exhibitions = readJson('test/fixtures/exhibitions.json');
+const usa = { ISOCode: 'USA', FIBARanking: 1 };
+const fra = { ISOCode: 'FRA', FIBARanking: 9 };
+
+// A model with a fixed point spread, which ignores the results
+const createFixedModel = (spread) => ({ getPointSpread: () => spread, update: () => {} });
+
+describe('simulateMatch', () => {
+  it('adds the adjustments to regulation time only', () => {
+    const model = createFixedModel(0);
+    const play = (seed, adjustments) => simulateMatch(usa, fra, { model, exhibitions, random: createRandom(seed), adjustments });
+    const seed = Array.from({ length: 1000 }, (_, i) => i).find(i => play(i, [0, 0]).overtimes > 0);
+    const [plain, adjusted] = [play(seed, [0, 0]), play(seed, [40, 40])];
+
+    // Equal adjustments keep regulation time tied, and the same overtimes follow
+    assert.equal(adjusted.overtimes, plain.overtimes);
+    assert.deepEqual([adjusted.team1, adjusted.team2], [plain.team1 + 40, plain.team2 + 40]);
+  });
+
+  it('has the same outcomes with and without the detailed engine', () => {
+    const model = createFixedModel(10);
+    const summarize = (detailed) => {
+      const results = Array.from({ length: 500 }, (_, seed) => simulateMatch(usa, fra, { model, exhibitions, random: createRandom(seed), detailed }));
+      const margins = results.map(result => result.team1 - result.team2);
+      const mean = margins.reduce((sum, margin) => sum + margin, 0) / margins.length;
+
+      return {
+        upsets: margins.filter(margin => margin < 0).length / margins.length,
+        mean,
+        deviation: Math.sqrt(margins.reduce((sum, margin) => sum + (margin - mean) ** 2, 0) / margins.length)
+      };
+    };
+    const [plain, detailed] = [summarize(false), summarize(true)];
+
+    assert.ok(Math.abs(detailed.upsets - plain.upsets) < 0.02, `${detailed.upsets} upsets, ${plain.upsets} without quarters`);
+    assert.ok(Math.abs(detailed.mean - plain.mean) < 0.5);
+    assert.ok(Math.abs(detailed.deviation - plain.deviation) < 0.5);
+  });
+
+  it('splits the score of a detailed match into its quarters and overtimes', () => {
+    for (let seed = 0; seed < 50; seed++) {
+      const { team1, team2, details } = simulateMatch(usa, fra, { model: createFixedModel(0), exhibitions, random: createRandom(seed), detailed: true });
+
+      assert.equal(details.quarters.reduce((sum, quarter) => sum + quarter[0], 0), team1);
+      assert.equal(details.quarters.reduce((sum, quarter) => sum + quarter[1], 0), team2);
+      details.quarters.slice(0, 4).forEach(quarter => quarter.forEach(points => assert.ok(points >= 10 && points <= 40)));
+    }
+  });
+});
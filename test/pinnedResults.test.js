@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createPinnedResults } from '../pinnedResults.js';
+
+const [srb, ssd, usa] = [{ ISOCode: 'SRB' }, { ISOCode: 'SSD' }, { ISOCode: 'USA' }];
+
+describe('createPinnedResults', () => {
+  const getPinnedResult = createPinnedResults({
+    group: [{ Team: 'SRB', Opponent: 'SSD', Result: '96-85' }],
+    semifinals: [{ Team: 'USA', Opponent: 'SRB', Result: '95-91', Overtimes: 1 }]
+  });
+
+  it('gives the scores in the order the teams play', () => {
+    assert.deepEqual(getPinnedResult('group', srb, ssd), { team1: 96, team2: 85, overtimes: 0, pinned: true });
+    assert.deepEqual(getPinnedResult('group', ssd, srb), { team1: 85, team2: 96, overtimes: 0, pinned: true });
+    assert.deepEqual(getPinnedResult('semifinals', srb, usa), { team1: 91, team2: 95, overtimes: 1, pinned: true });
+  });
+
+  it('only pins the game in its own stage', () => {
+    assert.equal(getPinnedResult('finals', srb, usa), undefined);
+    assert.equal(getPinnedResult('group', srb, usa), undefined);
+  });
+
+  it('pins nothing without results', () => {
+    assert.equal(createPinnedResults()('group', srb, ssd), undefined);
+  });
+});
@@ -0,0 +1,14 @@
+import fs from 'node:fs';
+
+/**
+ * Reads a JSON file of the repository, e.g. the groups, the exhibitions or a tournament format.
+ *
+ * @param {string} path - The path of the file, relative to the repository root.
+ * @returns {*} The parsed contents.
+ *
+ * @example
+ * const format = readJson('formats/olympic.json');
+ */
+const readJson = (path) => JSON.parse(fs.readFileSync(new URL(`../${path}`, import.meta.url)));
+
+export default readJson;
@@ -0,0 +1,140 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createRoundRobin, getAdvancingTeams, rankTeams } from '../groupStage.js';
+import { createPinnedResults } from '../pinnedResults.js';
+import { createRandom } from '../random.js';
+import { getMaxMargin, getScenarios } from '../scenarios.js';
+import { Tournament } from '../tournament.js';
+import readJson from './readJson.js';
+
+const groups = readJson('test/fixtures/groups.json');
+const exhibitions = readJson('test/fixtures/exhibitions.json');
+const format = readJson('formats/olympic.json');
+
+// The games of the first rounds of a simulated group stage, in the results file format
+const getPlayedRounds = (seed, rounds) => {
+  const isoCodes = Object.fromEntries(Object.values(groups).flat().map(team => [team.Team, team.ISOCode]));
+  const { groupResults } = new Tournament(groups, exhibitions, { seed }).playGroupStage();
+
+  return {
+    group: Object.values(groupResults).flat().filter(match => match.round <= rounds).map(match => ({
+      Team: isoCodes[match.team1],
+      Opponent: isoCodes[match.team2],
+      Result: `${match.score1}-${match.score2}`
+    }))
+  };
+}
+
+// Checks the statuses and requirements of the scenarios against a completed group stage, with the results of other groups
+// left out since they can't be checked on their own
+const assertScenarios = (scenarios, groupResults, name) => {
+  const advancing = getAdvancingTeams(rankTeams(groups, groupResults), format).map(team => team.ISOCode);
+  const names = Object.fromEntries(Object.values(groups).flat().map(team => [team.ISOCode, team.Team]));
+  const getMargin = (isoCode1, isoCode2) => {
+    const match = Object.values(groupResults).flat().find(match => [match.team1, match.team2].includes(names[isoCode1])
+      && [match.team1, match.team2].includes(names[isoCode2]));
+    return match.team1 === names[isoCode1] ? match.score1 - match.score2 : match.score2 - match.score1;
+  };
+  const isMet = ({ team1, team2, min, max }) => {
+    const margin = getMargin(team1, team2);
+    return (min === null || margin >= min) && (max === null || margin <= max);
+  };
+
+  Object.values(scenarios.groups).flat().forEach(({ ISOCode, status, requirements }) => {
+    const advanced = advancing.includes(ISOCode);
+
+    if (status !== 'needs') {
+      assert.equal(advanced, ['qualified', 'probablyQualified'].includes(status), `${name}: ${ISOCode}`);
+      return;
+    }
+
+    // The games of the group have to allow the outcome
+    const games = requirements.map(requirement => requirement.filter(condition => condition.type === 'game'));
+    if (requirements.some((requirement, i) => requirement.length === games[i].length && games[i].every(isMet))) {
+      assert.ok(advanced, `${name}: ${ISOCode}`);
+    }
+    if (!games.some(conditions => conditions.every(isMet))) {
+      assert.ok(!advanced, `${name}: ${ISOCode}`);
+    }
+  });
+}
+
+describe('getMaxMargin', () => {
+  it('considers margins only when few games are left', () => {
+    assert.equal(getMaxMargin(1), 40);
+    assert.equal(getMaxMargin(2), 40);
+    assert.equal(getMaxMargin(4), 1);
+    assert.equal(getMaxMargin(6), 1);
+  });
+});
+
+describe('getScenarios', () => {
+  it('decides every team once the group stage is over', () => {
+    const results = getPlayedRounds(4, 3);
+    const scenarios = getScenarios(groups, format, results);
+    const getPinnedResult = createPinnedResults(results);
+    const rankings = rankTeams(groups, createRoundRobin(groups, (team1, team2) => getPinnedResult('group', team1, team2)));
+    const advancing = getAdvancingTeams(rankings, format).map(team => team.ISOCode);
+
+    assert.equal(scenarios.remainingGames, 0);
+    Object.values(scenarios.groups).flat().forEach(({ ISOCode, status, approximate }) => {
+      assert.equal(status, advancing.includes(ISOCode) ? 'qualified' : 'eliminated', ISOCode);
+      assert.equal(approximate, false, ISOCode);
+    });
+  });
+
+  for (const seed of [42, 7, 1001]) {
+    it(`matches how the last round plays out (seed ${seed})`, () => {
+      const results = getPlayedRounds(seed, 2);
+      const getPinnedResult = createPinnedResults(results);
+      const scenarios = getScenarios(groups, format, results);
+      const random = createRandom(seed);
+
+      assert.equal(scenarios.remainingGames, 6);
+
+      for (let run = 0; run < 200; run++) {
+        const groupResults = createRoundRobin(groups, (team1, team2) => {
+          const margin = Math.ceil(random() * scenarios.maxMargin) * (random() < 0.5 ? -1 : 1);
+          return getPinnedResult('group', team1, team2) ?? { team1: 80 + Math.max(margin, 0), team2: 80 + Math.max(-margin, 0), overtimes: 0 };
+        });
+        assertScenarios(scenarios, groupResults, `run ${run}`);
+      }
+    });
+  }
+
+  it('only gives exact statuses and requirements that hold for any margin', () => {
+    for (const [seed, rounds] of [[7, 1], [42, 1], [42, 2]]) {
+      const results = getPlayedRounds(seed, rounds);
+      const getPinnedResult = createPinnedResults(results);
+      const scenarios = getScenarios(groups, format, results);
+      const exact = { ...scenarios, groups: Object.fromEntries(Object.entries(scenarios.groups).map(([group, teams]) => [
+        group, teams.filter(team => !team.approximate)
+      ])) };
+      const random = createRandom(seed);
+
+      if (rounds === 1) {
+        Object.values(scenarios.groups).flat().forEach(team => assert.ok(!team.approximate && !team.status.startsWith('probably')));
+      }
+
+      // Blowouts far beyond the margins worked through, and losing scores that change the points scored
+      for (let run = 0; run < 200; run++) {
+        const groupResults = createRoundRobin(groups, (team1, team2) => {
+          const margin = Math.ceil(random() ** 2 * 60) * (random() < 0.5 ? -1 : 1);
+          const losingScore = 60 + Math.floor(random() * 40);
+          return getPinnedResult('group', team1, team2)
+            ?? { team1: losingScore + Math.max(margin, 0), team2: losingScore + Math.max(-margin, 0), overtimes: 0 };
+        });
+        assertScenarios(exact, groupResults, `seed ${seed}, round ${rounds}, run ${run}`);
+      }
+    }
+  });
+
+  it('lists the conditions on the team\'s own games from its perspective', () => {
+    const scenarios = getScenarios(groups, format, getPlayedRounds(42, 2));
+
+    Object.values(scenarios.groups).flat().forEach(({ ISOCode, requirements }) => requirements.forEach(requirement => {
+      const own = requirement.filter(condition => condition.type === 'game' && [condition.team1, condition.team2].includes(ISOCode));
+      own.forEach(condition => assert.equal(condition.team1, ISOCode));
+    }));
+  });
+});
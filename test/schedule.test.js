@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createSchedule } from '../schedule.js';
+import readJson from './readJson.js';
+
+const format = readJson('formats/olympic.json');
+const fra = { ISOCode: 'FRA' };
+const ger = { ISOCode: 'GER' };
+
+describe('createSchedule', () => {
+  it('finds the game day of group and elimination games', () => {
+    const schedule = createSchedule(format);
+
+    assert.deepEqual(schedule.getGameDay('group', { group: 'A', round: 2 }), { date: '30/07/24', venue: 'Stade Pierre-Mauroy, Lille' });
+    assert.deepEqual(schedule.getGameDay('group', { group: 'C', round: 2 }), { date: '31/07/24', venue: 'Stade Pierre-Mauroy, Lille' });
+    assert.deepEqual(schedule.getGameDay('bronze'), { date: '10/08/24', venue: 'Bercy Arena, Paris' });
+    assert.equal(schedule.getGameDay('roundOf16'), undefined);
+  });
+
+  it('adds no modifiers to the default format', () => {
+    const gameDay = createSchedule(format).getGameDay('group', { group: 'B', round: 1 });
+
+    assert.equal(createSchedule(format).getAdjustment(fra, gameDay), 0);
+    assert.equal(createSchedule(readJson('formats/olympicModifiers.json')).getAdjustment(fra, gameDay), 3);
+  });
+
+  it('has no game days or modifiers without a calendar', () => {
+    const schedule = createSchedule({});
+
+    assert.equal(schedule.getGameDay('group', { group: 'A', round: 1 }), undefined);
+    assert.equal(schedule.getAdjustment(fra, undefined), 0);
+  });
+
+  it('adds the host advantage and takes points from tired teams', () => {
+    const modifiers = { hostAdvantage: { teams: ['FRA'], points: 3 }, backToBack: { points: 4 }, rest: { days: 2, pointsPerDay: 1 } };
+    const schedule = createSchedule({ ...format, modifiers });
+    const day = (date) => ({ date, venue: 'Paris' });
+
+    // Fully rested before the first game
+    assert.equal(schedule.getAdjustment(fra, day('01/08/24')), 3);
+    assert.equal(schedule.getAdjustment(ger, day('01/08/24')), 0);
+
+    schedule.recordGame(fra, day('01/08/24'));
+    schedule.recordGame(ger, day('01/08/24'));
+
+    // Back to back: no rest day at all, one rest day, then fully rested again
+    assert.equal(schedule.getAdjustment(ger, day('02/08/24')), -4 - 2);
+    assert.equal(schedule.getAdjustment(ger, day('03/08/24')), -1);
+    assert.equal(schedule.getAdjustment(ger, day('04/08/24')), 0);
+    assert.equal(schedule.getAdjustment(fra, day('03/08/24')), 3 - 1);
+
+    // A game day before the last one counts as no rest, not less
+    assert.equal(schedule.getAdjustment(ger, day('30/07/24')), -4 - 2);
+  });
+});
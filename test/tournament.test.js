@@ -0,0 +1,185 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { runMonteCarlo, Tournament } from '../tournament.js';
+import readJson from './readJson.js';
+
+const groups = readJson('test/fixtures/groups.json');
+const exhibitions = readJson('test/fixtures/exhibitions.json');
+const SEEDS = Array.from({ length: 50 }, (_, i) => i * 7919);
+
+// Every game of a run, group and elimination games alike, as [score1, score2]
+const getScores = ({ groupResults, eliminationResults }) => [
+  ...Object.values(groupResults).flat().map(match => [match.score1, match.score2]),
+  ...Object.values(eliminationResults).flat().map(({ result }) => [result.team1, result.team2])
+];
+
+describe('Tournament', () => {
+  it('replays the same tournament from the same seed', () => {
+    for (const model of ['form', 'elo']) {
+      const run1 = new Tournament(groups, exhibitions, { seed: 42, model }).play();
+      const run2 = new Tournament(groups, exhibitions, { seed: 42, model }).play();
+
+      assert.deepEqual(getScores(run1), getScores(run2));
+    }
+  });
+
+  it('keeps the state of every instance apart', () => {
+    const tournament1 = new Tournament(groups, exhibitions, { seed: 1 });
+    const tournament2 = new Tournament(groups, exhibitions, { seed: 1 });
+    tournament1.playGroupStage();
+
+    assert.deepEqual(tournament2.play().groupResults, tournament1.groupResults);
+  });
+
+  it('plays the steps in order only', () => {
+    const tournament = new Tournament(groups, exhibitions, { seed: 1 });
+
+    assert.throws(() => tournament.drawQuarterfinals(), /group stage/);
+    tournament.playGroupStage();
+    assert.throws(() => tournament.playGroupStage(), /already/);
+    assert.throws(() => tournament.playKnockouts(), /draw/);
+    tournament.drawQuarterfinals();
+    tournament.playKnockouts();
+    assert.throws(() => tournament.playKnockouts(), /already/);
+  });
+
+  it('adds up quarters and box scores of detailed games to the final score', () => {
+    const { groupResults } = new Tournament(groups, exhibitions, { seed: 5, detailed: true }).play();
+
+    Object.values(groupResults).flat().forEach(({ score1, score2, overtimes, details }) => {
+      assert.equal(details.quarters.length, 4 + overtimes);
+      assert.equal(details.quarters.reduce((sum, [quarter1]) => sum + quarter1, 0), score1);
+      assert.equal(details.quarters.reduce((sum, [, quarter2]) => sum + quarter2, 0), score2);
+
+      [[details.boxScore.team1, score1], [details.boxScore.team2, score2]].forEach(([boxScore, score]) => {
+        assert.equal(2 * boxScore.twoPointersMade + 3 * boxScore.threePointersMade + boxScore.freeThrowsMade, score);
+        assert.ok(boxScore.twoPointersAttempted >= boxScore.twoPointersMade);
+        assert.ok(boxScore.threePointersAttempted >= boxScore.threePointersMade);
+      });
+    });
+  });
+
+  it('plays the same games from the same seed with and without details', () => {
+    for (const seed of SEEDS.slice(0, 10)) {
+      const plain = new Tournament(groups, exhibitions, { seed }).play();
+      const detailed = new Tournament(groups, exhibitions, { seed, detailed: true }).play();
+
+      assert.deepEqual(getScores(detailed), getScores(plain), `seed ${seed}`);
+    }
+  });
+
+  it('plays pinned games with their results and simulates the rest', () => {
+    const results = { group: [{ Team: 'SSD', Opponent: 'SRB', Result: '101-100', Overtimes: 2 }] };
+    const tournament = new Tournament(groups, exhibitions, { seed: 3, results });
+    const form = { ...tournament.model.form };
+    const { groupResults } = tournament.playGroupStage();
+    const pinned = groupResults.C.find(match => [match.team1, match.team2].sort().join() === 'Južni Sudan,Srbija');
+    const [srbScore, ssdScore] = pinned.team1 === 'Srbija' ? [pinned.score1, pinned.score2] : [pinned.score2, pinned.score1];
+
+    assert.deepEqual([srbScore, ssdScore, pinned.overtimes], [100, 101, 2]);
+    assert.notEqual(tournament.model.form.SSD, form.SSD);
+
+    // The pinned game changes the forms, so the other games of the group play out differently
+    const unpinned = new Tournament(groups, exhibitions, { seed: 3 }).playGroupStage().groupResults;
+    assert.notDeepEqual(groupResults.C, unpinned.C);
+  });
+
+  it('plays games on the days of the calendar, with the modifiers of the format', () => {
+    const format = readJson('formats/olympic.json');
+    const hosted = { ...format, modifiers: { hostAdvantage: { teams: ['JPN'], points: 100 } } };
+    const { groupResults, eliminationResults } = new Tournament(groups, exhibitions, { seed: 6, format: hosted }).play();
+
+    assert.deepEqual(groupResults.B.map(match => match.date), ['27/07/24', '27/07/24', '30/07/24', '30/07/24', '02/08/24', '02/08/24']);
+    assert.equal(eliminationResults.finals[0].result.venue, 'Bercy Arena, Paris');
+    groupResults.B.filter(match => [match.team1, match.team2].includes('Japan')).forEach(match => {
+      assert.equal(match.team1 === 'Japan' ? match.score1 > match.score2 : match.score2 > match.score1, true);
+    });
+  });
+
+  it('rejects an unknown model', () => {
+    assert.throws(() => new Tournament(groups, exhibitions, { model: 'coin' }), /Unknown model "coin"/);
+  });
+
+  describe('for any seed', () => {
+    const runs = SEEDS.flatMap(seed => ['form', 'elo'].map(model => ({
+      name: `seed ${seed}, ${model}`,
+      run: new Tournament(groups, exhibitions, { seed, model }).play()
+    })));
+
+    it('every team plays 3 group games', () => {
+      for (const { name, run } of runs) {
+        for (const [group, matches] of Object.entries(run.groupResults)) {
+          groups[group].forEach(team => {
+            const games = matches.filter(match => match.team1 === team.Team || match.team2 === team.Team);
+            assert.equal(games.length, 3, `${name}: ${team.Team}`);
+          });
+        }
+      }
+    });
+
+    it('standings add up to 2 points per game', () => {
+      for (const { name, run } of runs) {
+        for (const [group, rankings] of Object.entries(run.groupRankings)) {
+          const games = run.groupResults[group].length;
+
+          assert.equal(rankings.reduce((sum, team) => sum + team.points, 0), 2 * games, name);
+          assert.equal(rankings.reduce((sum, team) => sum + team.wins, 0), games, name);
+          assert.deepEqual(rankings.map(team => team.position), [1, 2, 3, 4], name);
+        }
+      }
+    });
+
+    it('no game ends tied', () => {
+      for (const { name, run } of runs) {
+        getScores(run).forEach(([score1, score2]) => assert.notEqual(score1, score2, name));
+      }
+    });
+
+    it('the bracket is valid', () => {
+      for (const { name, run } of runs) {
+        const { rankedTeams, eliminationResults } = run;
+        const quarterfinals = eliminationResults.quarterfinals.map(({ match }) => match);
+        const teams = quarterfinals.flat();
+
+        assert.equal(rankedTeams.length, 8, name);
+        assert.deepEqual(new Set(teams), new Set(rankedTeams), name);
+        assert.equal(new Set(teams.map(team => team.Team)).size, 8, name);
+        quarterfinals.forEach(([team1, team2]) => assert.notEqual(team1.group, team2.group, name));
+
+        // Group winners and runners-up all advance, with the two best third-placed teams
+        Object.values(run.groupRankings).forEach(rankings => {
+          rankings.slice(0, 2).forEach(team => assert.ok(rankedTeams.some(t => t.Team === team.Team), name));
+        });
+        assert.equal(rankedTeams.filter(team => team.position === 3).length, 2, name);
+
+        // Winners of consecutive matchups meet in the next stage
+        const winners = (stage) => eliminationResults[stage].map(({ match, result }) => result.team1 > result.team2 ? match[0] : match[1]);
+        const losers = (stage) => eliminationResults[stage].map(({ match, result }) => result.team1 > result.team2 ? match[1] : match[0]);
+
+        assert.deepEqual(eliminationResults.semifinals.map(({ match }) => match).flat(), winners('quarterfinals'), name);
+        assert.deepEqual(eliminationResults.finals[0].match, winners('semifinals'), name);
+        assert.deepEqual(eliminationResults.bronze[0].match, losers('semifinals'), name);
+      }
+    });
+  });
+});
+
+describe('runMonteCarlo', () => {
+  it('gives probabilities that add up over teams', () => {
+    const probabilities = Object.values(runMonteCarlo(groups, exhibitions, { seed: 3 }, 100)).flat();
+    const total = (getValue) => probabilities.reduce((sum, team) => sum + getValue(team), 0);
+
+    assert.equal(probabilities.length, 12);
+    ['gold', 'silver', 'bronze'].forEach(medal => assert.ok(Math.abs(total(team => team[medal]) - 1) < 1e-9, medal));
+    assert.ok(Math.abs(total(team => team.stages.quarterfinals) - 8) < 1e-9);
+  });
+
+  it('starts from the same tournament as a single run with the seed', () => {
+    const probabilities = Object.values(runMonteCarlo(groups, exhibitions, { seed: 9 }, 1)).flat();
+    const { eliminationResults } = new Tournament(groups, exhibitions, { seed: 9 }).play();
+    const [{ match, result }] = eliminationResults.finals;
+    const champion = result.team1 > result.team2 ? match[0] : match[1];
+
+    assert.equal(probabilities.find(team => team.gold === 1).ISOCode, champion.ISOCode);
+  });
+});
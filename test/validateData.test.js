@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import validateData from '../validateData.js';
+import readJson from './readJson.js';
+
+const format = readJson('formats/olympic.json');
+const files = { groups: 'groups.json', exhibitions: 'exhibitions.json', tournament: 'olympic.json' };
+
+describe('validateData', () => {
+  it('accepts the data files', () => {
+    assert.deepEqual(validateData(readJson('groups.json'), readJson('exhibitions.json'), format, files), []);
+  });
+
+  it('reports every problem with its file, team and field', () => {
+    const groups = readJson('test/fixtures/groups.json');
+    const exhibitions = readJson('test/fixtures/exhibitions.json');
+    groups.A[1].FIBARanking = 0;
+    exhibitions.GER[0].Opponent = 'XYZ';
+    exhibitions.FRA[0].Result = '73:85';
+    delete exhibitions.BRA;
+
+    assert.deepEqual(validateData(groups, exhibitions, format, files).map(({ file, team, field }) => [file, team, field]), [
+      ['groups.json', 'AUS', 'FIBARanking'],
+      ['exhibitions.json', 'BRA', 'BRA'],
+      ['exhibitions.json', 'GER', 'Opponent'],
+      ['exhibitions.json', 'FRA', 'Result']
+    ]);
+  });
+
+  it('checks the format against the groups', () => {
+    const problems = validateData(readJson('test/fixtures/groups.json'), readJson('test/fixtures/exhibitions.json'), { ...format, groups: 4, bracketSize: 6 }, files);
+
+    assert.deepEqual(problems.map(({ field }) => field), ['groups', 'advancement', 'bracketSize']);
+  });
+
+  it('reports files that are not objects and a format without advancement', () => {
+    const groups = readJson('test/fixtures/groups.json');
+    const { advancement, ...withoutAdvancement } = format;
+
+    assert.deepEqual(validateData(groups, [], null, files).map(({ file, field }) => [file, field]), [
+      ['exhibitions.json', 'exhibitions'],
+      ['olympic.json', 'tournament']
+    ]);
+    assert.deepEqual(validateData(groups, readJson('test/fixtures/exhibitions.json'), withoutAdvancement, files).map(({ field }) => field), ['advancement']);
+  });
+
+  it('reports advancement positions and counts that are not positive integers', () => {
+    const advancement = [{ position: 1.5, count: 3 }, { position: 2, count: 3 }, { position: 3, count: 2 }];
+    const problems = validateData(readJson('test/fixtures/groups.json'), readJson('test/fixtures/exhibitions.json'), { ...format, advancement }, files);
+
+    assert.deepEqual(problems.map(({ field, message }) => [field, message]), [
+      ['advancement', 'Invalid position "1.5" or count "3", expected positive integers']
+    ]);
+  });
+
+  it('checks the seeding of a draw against the bracket', () => {
+    const check = (seeding) => validateData(readJson('test/fixtures/groups.json'), readJson('test/fixtures/exhibitions.json'), { ...format, seeding }, files)
+      .map(({ field, message }) => [field, message]);
+    const { seeding: drawSeeding, ...withoutSeeding } = format;
+
+    assert.deepEqual(validateData(readJson('test/fixtures/groups.json'), readJson('test/fixtures/exhibitions.json'), withoutSeeding, files).map(({ field }) => field), ['seeding']);
+    assert.deepEqual(check({ type: 'knockout' }).map(([field]) => field), ['seeding']);
+    assert.deepEqual(check({ ...drawSeeding, pots: { ...drawSeeding.pots, G: [7, 9] } }), [
+      ['seeding.pots', 'Pots should cover the ranks 1 to 8 once each'],
+      ['seeding.draws', 'Pots D and G have a different number of teams']
+    ]);
+    assert.deepEqual(check({ ...drawSeeding, draws: [['D', 'X'], ['E', 'F']] }), [
+      ['seeding.draws', 'Unknown pot "X" in the draw of D and X'],
+      ['seeding.draws', 'Pot G should be in exactly one draw, found 0']
+    ]);
+  });
+
+  it('checks the slots of a fixed bracket', () => {
+    const check = (bracket) => validateData(readJson('test/fixtures/groups.json'), readJson('test/fixtures/exhibitions.json'), {
+      ...format, seeding: { type: 'fixed', bracket }
+    }, files).map(({ field, message }) => [field, message]);
+
+    assert.deepEqual(check([['1A', '2B'], ['1C', '2A'], ['1B', '2C'], ['#7', '#8']]), []);
+    assert.deepEqual(check([['1A', '2B'], ['1C', '2A'], ['1B', '2C'], ['3A', '1D']]), [
+      ['seeding.bracket', 'Slot "3A" doesn\'t name an advancing team, expected e.g. "1A" or "#3"'],
+      ['seeding.bracket', 'Slot "1D" doesn\'t name an advancing team, expected e.g. "1A" or "#3"']
+    ]);
+    assert.deepEqual(check([['1A', '2B'], ['1C', '2A'], ['1B', '2C'], ['#9', '1A']]), [
+      ['seeding.bracket', 'Slot "#9" doesn\'t name an advancing team, expected e.g. "1A" or "#3"'],
+      ['seeding.bracket', 'Slot "1A" is in the bracket more than once']
+    ]);
+    assert.deepEqual(check([['1A', '2B']]).map(([field]) => field), ['seeding.bracket']);
+  });
+
+  it('checks the pinned results', () => {
+    const results = {
+      group: [
+        { Team: 'SRB', Opponent: 'SSD', Result: '96-85' },
+        { Team: 'SRB', Opponent: 'GER', Result: '90-80' },
+        { Team: 'SSD', Opponent: 'SRB', Result: '85-85' }
+      ],
+      final: []
+    };
+    const problems = validateData(readJson('test/fixtures/groups.json'), readJson('test/fixtures/exhibitions.json'), format, { ...files, results: 'results.json' }, results);
+
+    assert.deepEqual(problems.map(({ file, team, field }) => [file, team, field]), [
+      ['results.json', 'SRB', 'Opponent'],
+      ['results.json', 'SSD', 'Result'],
+      ['results.json', 'SSD', 'group'],
+      ['results.json', null, 'final']
+    ]);
+  });
+
+  it('checks the calendar and modifiers of the format', () => {
+    const calendar = [
+      ...format.calendar,
+      { date: '31/02/24', venue: 'Lille', stage: 'group', round: 4 },
+      { date: '04/08/24', venue: '', stage: 'group', round: 3, groups: ['C', 'D'] },
+      { date: '10/08/24', venue: 'Paris', stage: 'final' }
+    ];
+    const modifiers = { hostAdvantage: { teams: ['FRA'], points: -3 }, rest: { days: 1.5, pointsPerDay: 1 }, weather: {} };
+    const problems = validateData(readJson('test/fixtures/groups.json'), readJson('test/fixtures/exhibitions.json'), { ...format, calendar, modifiers }, files);
+
+    assert.deepEqual(problems.map(({ file, team, field }) => [file, team, field]), [
+      ['olympic.json', null, 'date'],
+      ['olympic.json', null, 'round'],
+      ['olympic.json', null, 'venue'],
+      ['olympic.json', 'C', 'groups'],
+      ['olympic.json', 'D', 'groups'],
+      ['olympic.json', null, 'stage'],
+      ['olympic.json', null, 'hostAdvantage.points'],
+      ['olympic.json', null, 'rest.days'],
+      ['olympic.json', null, 'modifiers']
+    ]);
+  });
+});
@@ -0,0 +1,234 @@
+'use strict';
+
+import fs from 'fs';
+import { createEloModel } from './eloModel.js';
+import { createFormModel } from './formModel.js';
+import { createRoundRobin, getAdvancingTeams, rankTeams } from './groupStage.js';
+import { getEliminationMatches, getEliminationResults, getPots, getStageNames } from './knockout.js';
+import { simulateMatch } from './match.js';
+import { DEFAULT_MODEL_CONFIG } from './modelConfig.js';
+import { createPinnedResults } from './pinnedResults.js';
+import { createTeamStats, getProbabilities, recordRun } from './probabilities.js';
+import { createRandom, generateSeed } from './random.js';
+import { createSchedule } from './schedule.js';
+
+export const MODELS = ['form', 'elo'];
+
+// Mixed into the seed of the generator for quarters and box scores, so it doesn't start where the main generator does
+const DETAILS_SEED_SALT = 0x9E3779B9;
+
+/**
+ * Reads the Olympic format, used when no other format is given.
+ *
+ * @returns {object} The contents of formats/olympic.json.
+ */
+const readDefaultFormat = () => JSON.parse(fs.readFileSync(new URL('./formats/olympic.json', import.meta.url)));
+
+/**
+ * Creates the team strength model used to predict the point spread of a match.
+ *
+ * - `form`: FIBA ranking difference combined with the form from the exhibition stage, updated after every game (see `createFormModel`).
+ * - `elo`: Elo ratings with margin of victory adjustments, seeded from FIBA ranking and exhibition games (see `createEloModel`).
+ *
+ * @param {string} name - The name of the model, one of `MODELS`.
+ * @param {object} groups - An object where keys are group names and values are arrays of team objects.
+ * @param {object} exhibitions - The contents of exhibitions.json.
+ * @param {object} [config] - The model config, see `createModelConfig`. Only the form model has weights in it.
+ * @returns {object} The model, with `getPointSpread(team1, team2)` returning the expected margin of the first team,
+ * and `update(team1, team2, score1, score2)` called after every game.
+ * @throws {Error} If there is no model with the name.
+ */
+export const createModel = (name, groups, exhibitions, config = DEFAULT_MODEL_CONFIG) => {
+  if (!MODELS.includes(name)) {
+    throw new Error(`Unknown model "${name}", expected one of: ${MODELS.join(', ')}`);
+  }
+
+  return name === 'elo' ? createEloModel(groups, exhibitions) : createFormModel(groups, exhibitions, config);
+}
+
+/**
+ * A single tournament, from the group stage to the medal games. Each instance has its own team strength model,
+ * schedule and random number generator, so tournaments can be simulated side by side, step by step or all at once with `play`.
+ * The data isn't validated here, see `validateData`.
+ *
+ * @example
+ * const tournament = new Tournament(groups, exhibitions, { seed: 42, model: 'elo' });
+ * const { groupRankings } = tournament.playGroupStage();
+ * const { pots, bracket } = tournament.drawQuarterfinals();
+ * const eliminationResults = tournament.playKnockouts();
+ */
+export class Tournament {
+  /**
+   * @param {object} groups - The contents of groups.json: group names as keys and arrays of team objects as values.
+   * @param {object} exhibitions - The contents of exhibitions.json.
+   * @param {object} [options] - How the tournament is simulated.
+   * @param {object} [options.format] - The tournament format, formats/olympic.json by default.
+   * @param {number} [options.seed] - The seed of the random number generator, a new one is generated by default.
+   * @param {string} [options.model] - The team strength model, `form` (default) or `elo`, see `createModel`.
+   * @param {object} [options.modelConfig] - The weights and random ranges of the model, see `createModelConfig`.
+   * @param {boolean} [options.detailed] - Whether matches are simulated quarter by quarter, with box scores.
+   * @param {object} [options.results] - Known results that games are pinned to instead of being simulated, see `createPinnedResults`.
+   * @param {function(): number} [options.random] - A random number generator to use instead of one created from the seed,
+   * e.g. to share one generator between Monte Carlo runs.
+   */
+  constructor(groups, exhibitions, {
+    format = readDefaultFormat(), seed = generateSeed(), model = 'form', modelConfig = DEFAULT_MODEL_CONFIG, detailed = false, results, random
+  } = {}) {
+    this.groups = groups;
+    this.exhibitions = exhibitions;
+    this.format = format;
+    this.seed = seed;
+    this.detailed = detailed;
+    this.random = random ?? createRandom(seed);
+    // Quarters and box scores have their own generator, so the seed plays the same games with and without `detailed`
+    this.detailRandom = createRandom((seed ^ DETAILS_SEED_SALT) >>> 0);
+    this.modelConfig = modelConfig;
+    this.model = createModel(model, groups, exhibitions, modelConfig);
+    this.getPinnedResult = createPinnedResults(results);
+    this.schedule = createSchedule(format);
+
+    this.groupResults = null;
+    this.groupRankings = null;
+    this.rankedTeams = null;
+    this.pots = null;
+    this.bracket = null;
+    this.eliminationResults = null;
+  }
+
+  /**
+   * Plays a match: a pinned result if there is one for the stage and teams, otherwise a match simulated with this tournament's model
+   * and random number generator, adjusted by the modifiers of the schedule. Either way the model is updated with the result,
+   * so pinned games affect the form of both teams, and the game day counts for the rest of both teams.
+   *
+   * @param {object} team1 - The first team.
+   * @param {object} team2 - The second team.
+   * @param {string} stage - The stage of the match, `group` or the name of an elimination stage.
+   * @param {object} [game] - The `group` and `round` of a group match, to find its game day on the calendar.
+   * @returns {object} The result of the match, see `simulateMatch`, with the `date` and `venue` of matches on the calendar.
+   * Pinned results have `pinned: true`.
+   */
+  playMatch(team1, team2, stage, game) {
+    const gameDay = this.schedule.getGameDay(stage, game);
+    const pinnedResult = this.getPinnedResult(stage, team1, team2);
+    let result = pinnedResult;
+
+    if (pinnedResult) {
+      this.model.update(team1, team2, pinnedResult.team1, pinnedResult.team2);
+    } else {
+      result = simulateMatch(team1, team2, {
+        model: this.model,
+        exhibitions: this.exhibitions,
+        random: this.random,
+        detailed: this.detailed,
+        detailRandom: this.detailRandom,
+        config: this.modelConfig,
+        adjustments: [this.schedule.getAdjustment(team1, gameDay), this.schedule.getAdjustment(team2, gameDay)]
+      });
+    }
+
+    this.schedule.recordGame(team1, gameDay);
+    this.schedule.recordGame(team2, gameDay);
+
+    return gameDay ? { ...result, ...gameDay } : result;
+  }
+
+  /**
+   * Plays every group game, ranks the groups and picks the teams that advance to the elimination stage.
+   *
+   * @returns {object} The `groupResults` (see `createRoundRobin`), the `groupRankings` (see `rankTeams`)
+   * and the advancing `rankedTeams` (see `getAdvancingTeams`).
+   * @throws {Error} If the group stage has already been played.
+   */
+  playGroupStage() {
+    if (this.groupResults) {
+      throw new Error('The group stage has already been played');
+    }
+
+    this.groupResults = createRoundRobin(this.groups, (team1, team2, stage, game) => this.playMatch(team1, team2, stage, game));
+    this.groupRankings = rankTeams(this.groups, this.groupResults);
+    this.rankedTeams = getAdvancingTeams(this.groupRankings, this.format);
+
+    return { groupResults: this.groupResults, groupRankings: this.groupRankings, rankedTeams: this.rankedTeams };
+  }
+
+  /**
+   * Draws the first elimination round from the advancing teams, the quarterfinals in the Olympic format.
+   *
+   * @returns {object} The `pots` the teams were drawn from (`null` for a fixed bracket) and the `bracket`,
+   * the matchups in bracket order (see `getEliminationMatches`).
+   * @throws {Error} If the group stage hasn't been played yet, or the draw has already been made.
+   */
+  drawQuarterfinals() {
+    if (!this.rankedTeams) {
+      throw new Error('The group stage has to be played before the draw');
+    }
+
+    if (this.bracket) {
+      throw new Error('The elimination draw has already been made');
+    }
+
+    const { seeding } = this.format;
+    this.pots = seeding.type === 'draw' ? getPots(this.rankedTeams, seeding) : null;
+    this.bracket = getEliminationMatches(this.rankedTeams, this.format, this.random);
+
+    return { pots: this.pots, bracket: this.bracket };
+  }
+
+  /**
+   * Plays the elimination stage of the drawn bracket, up to the final and the bronze game.
+   *
+   * @returns {object} The results of every stage, keyed by stage name, see `getEliminationResults`.
+   * @throws {Error} If the draw hasn't been made yet, or the knockouts have already been played.
+   */
+  playKnockouts() {
+    if (!this.bracket) {
+      throw new Error('The elimination draw has to be made before the knockouts');
+    }
+
+    if (this.eliminationResults) {
+      throw new Error('The knockouts have already been played');
+    }
+
+    this.eliminationResults = getEliminationResults(this.bracket, (team1, team2, stage) => this.playMatch(team1, team2, stage));
+
+    return this.eliminationResults;
+  }
+
+  /**
+   * Plays the whole tournament, from the group stage to the medal games.
+   *
+   * @returns {object} An object containing `groupResults`, `groupRankings`, `rankedTeams`, `pots` (`null` for a fixed bracket)
+   * and `eliminationResults`.
+   */
+  play() {
+    this.playGroupStage();
+    this.drawQuarterfinals();
+    this.playKnockouts();
+
+    const { groupResults, groupRankings, rankedTeams, pots, eliminationResults } = this;
+    return { groupResults, groupRankings, rankedTeams, pots, eliminationResults };
+  }
+}
+
+/**
+ * Simulates the tournament `runs` times and aggregates how far each team went.
+ * All runs share one random number generator, created from the seed, and every run starts with a new model,
+ * so the first run is the same as a single tournament with the seed.
+ *
+ * @param {object} groups - The contents of groups.json.
+ * @param {object} exhibitions - The contents of exhibitions.json.
+ * @param {object} options - The tournament options, see `Tournament`.
+ * @param {number} runs - The number of tournaments to simulate.
+ * @returns {object} The probabilities for each team, grouped by group name, as returned by `getProbabilities`.
+ */
+export const runMonteCarlo = (groups, exhibitions, options, runs) => {
+  const { format = readDefaultFormat(), seed = generateSeed() } = options;
+  const random = options.random ?? createRandom(seed);
+  const stats = createTeamStats(groups, getStageNames(format.bracketSize));
+
+  for (let i = 0; i < runs; i++) {
+    recordRun(stats, new Tournament(groups, exhibitions, { ...options, format, random }).play());
+  }
+
+  return getProbabilities(stats, runs);
+}
@@ -0,0 +1,477 @@
+'use strict';
+
+import { getStageNames } from './knockout.js';
+
+const ISO_CODE_PATTERN = /^[A-Z]{3}$/;
+const RESULT_PATTERN = /^\d+-\d+$/;
+const DATE_PATTERN = /^(\d{2})\/(\d{2})\/(\d{2})$/;
+
+/**
+ * Checks whether a date in the DD/MM/YY format used by exhibitions.json exists in the calendar.
+ *
+ * @param {string} date - The date to check.
+ * @returns {boolean} `true` if the date has the right format and is a real date.
+ */
+const isValidDate = (date) => {
+  const match = DATE_PATTERN.exec(date);
+  if (!match) {
+    return false;
+  }
+
+  const [day, month, year] = match.slice(1).map(Number);
+  const parsed = new Date(Date.UTC(2000 + year, month - 1, day));
+
+  return parsed.getUTCDate() === day && parsed.getUTCMonth() === month - 1;
+}
+
+const MODIFIER_FIELDS = {
+  hostAdvantage: ['teams', 'points'],
+  backToBack: ['points'],
+  rest: ['days', 'pointsPerDay']
+};
+
+/**
+ * Checks the `calendar` and `modifiers` of a tournament format, see `createSchedule`.
+ *
+ * @param {object} format - The tournament format.
+ * @param {Array<string>} groupNames - The names of the groups.
+ * @param {function(string, string, string): void} addProblem - Adds a problem with the team, field and message.
+ */
+const validateSchedule = ({ calendar, modifiers, groupSize, bracketSize }, groupNames, addProblem) => {
+  const isNonNegative = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  if (calendar !== undefined && !Array.isArray(calendar)) {
+    addProblem(null, 'calendar', 'Calendar should be an array of game days');
+  } else if (calendar !== undefined) {
+    // An invalid bracket is already reported, and has no stage names to check the elimination game days against
+    const isValidBracket = Number.isInteger(Math.log2(bracketSize)) && bracketSize >= 2;
+    const stages = ['group', ...(isValidBracket ? getStageNames(bracketSize) : []), 'bronze'];
+    const rounds = groupSize % 2 === 0 ? groupSize - 1 : groupSize;
+    const scheduledGames = new Set();
+
+    calendar.forEach((day, index) => {
+      const name = `game day ${index + 1}`;
+
+      if (typeof day !== 'object' || day === null) {
+        addProblem(null, 'calendar', `Game day ${index + 1} should be an object`);
+        return;
+      }
+
+      if (!isValidDate(day.date)) {
+        addProblem(null, 'date', `Invalid date "${day.date}" in ${name}, expected DD/MM/YY`);
+      }
+
+      if (typeof day.venue !== 'string' || day.venue.trim() === '') {
+        addProblem(null, 'venue', `Missing venue in ${name}`);
+      }
+
+      if (!isValidBracket && day.stage !== 'group') {
+        return;
+      }
+
+      if (!stages.includes(day.stage)) {
+        addProblem(null, 'stage', `Unknown stage "${day.stage}" in ${name}, expected one of: ${stages.join(', ')}`);
+        return;
+      }
+
+      if (day.stage !== 'group') {
+        scheduledGames.has(day.stage) && addProblem(null, 'stage', `${day.stage} is on the calendar more than once`);
+        scheduledGames.add(day.stage);
+        return;
+      }
+
+      if (!Number.isInteger(day.round) || day.round < 1 || day.round > rounds) {
+        addProblem(null, 'round', `Invalid round "${day.round}" in ${name}, expected 1 to ${rounds}`);
+        return;
+      }
+
+      if (day.groups !== undefined && !Array.isArray(day.groups)) {
+        addProblem(null, 'groups', `Groups should be an array of group names in ${name}`);
+        return;
+      }
+
+      (day.groups ?? groupNames).forEach(group => {
+        if (!groupNames.includes(group)) {
+          addProblem(group, 'groups', `Unknown group "${group}" in ${name}`);
+        } else if (scheduledGames.has(`${group}|${day.round}`)) {
+          addProblem(group, 'groups', `Round ${day.round} of group ${group} is on the calendar more than once`);
+        }
+        scheduledGames.add(`${group}|${day.round}`);
+      });
+    });
+  }
+
+  if (modifiers === undefined) {
+    return;
+  }
+
+  if (typeof modifiers !== 'object' || modifiers === null || Array.isArray(modifiers)) {
+    addProblem(null, 'modifiers', 'Modifiers should be an object');
+    return;
+  }
+
+  for (const [modifier, settings] of Object.entries(modifiers)) {
+    if (!MODIFIER_FIELDS[modifier]) {
+      addProblem(null, 'modifiers', `Unknown modifier "${modifier}", expected one of: ${Object.keys(MODIFIER_FIELDS).join(', ')}`);
+      continue;
+    }
+
+    if (typeof settings !== 'object' || settings === null) {
+      addProblem(null, modifier, `Modifier should be an object with ${MODIFIER_FIELDS[modifier].join(', ')}`);
+      continue;
+    }
+
+    MODIFIER_FIELDS[modifier].forEach(field => {
+      const value = settings[field];
+
+      if (field === 'teams') {
+        if (!Array.isArray(value) || !value.every(isoCode => ISO_CODE_PATTERN.test(isoCode))) {
+          addProblem(null, `${modifier}.teams`, 'Host nations should be an array of ISO codes');
+        }
+      } else if (field === 'days' ? !Number.isInteger(value) || value < 1 : !isNonNegative(value)) {
+        addProblem(null, `${modifier}.${field}`, `Invalid ${field} "${value}", expected a ${field === 'days' ? 'positive integer' : 'non-negative number'}`);
+      }
+    });
+  }
+}
+
+const SLOT_PATTERN = /^(?:#(\d+)|(\d+)(.+))$/;
+
+/**
+ * Checks the `seeding` of a tournament format, see `getEliminationMatches`: the pots of a draw have to cover the ranks
+ * of the bracket once each and be drawn against a pot of the same size, and the slots of a fixed bracket have to name
+ * advancing teams, each one once.
+ *
+ * @param {object} format - The tournament format.
+ * @param {Array<string>} groupNames - The names of the groups.
+ * @param {function(string, string, string): void} addProblem - Adds a problem with the team, field and message.
+ */
+const validateSeeding = ({ seeding, bracketSize, advancement, groups }, groupNames, addProblem) => {
+  if (typeof seeding !== 'object' || seeding === null || !['draw', 'fixed'].includes(seeding.type)) {
+    addProblem(null, 'seeding', 'Seeding should be an object with the type "draw" or "fixed"');
+    return;
+  }
+
+  // Without a valid bracket size there are no ranks or matchups to check the seeding against
+  const isValidBracket = Number.isInteger(Math.log2(bracketSize)) && bracketSize >= 2;
+
+  if (seeding.type === 'fixed') {
+    if (!Array.isArray(seeding.bracket) || !seeding.bracket.every(match => Array.isArray(match) && match.length === 2)) {
+      addProblem(null, 'seeding.bracket', 'Bracket should be an array of matchups with two slots, e.g. ["1A", "2B"]');
+      return;
+    }
+
+    if (isValidBracket && seeding.bracket.length !== bracketSize / 2) {
+      addProblem(null, 'seeding.bracket', `Expected ${bracketSize / 2} matchups, found ${seeding.bracket.length}`);
+    }
+
+    // A group position only names a team if every group's team in it advances
+    const fullPositions = Array.isArray(advancement)
+      ? advancement.filter(entry => entry?.count === groups).map(entry => entry.position)
+      : [];
+    const slots = new Set();
+
+    seeding.bracket.flat().forEach(slot => {
+      const [, rank, position, group] = SLOT_PATTERN.exec(slot) ?? [];
+      const isKnown = rank !== undefined
+        ? Number(rank) >= 1 && (!isValidBracket || Number(rank) <= bracketSize)
+        : position !== undefined && groupNames.includes(group) && fullPositions.includes(Number(position));
+
+      if (!isKnown) {
+        addProblem(null, 'seeding.bracket', `Slot "${slot}" doesn't name an advancing team, expected e.g. "1A" or "#3"`);
+      } else if (slots.has(slot)) {
+        addProblem(null, 'seeding.bracket', `Slot "${slot}" is in the bracket more than once`);
+      }
+      slots.add(slot);
+    });
+    return;
+  }
+
+  const pots = typeof seeding.pots === 'object' && seeding.pots !== null && !Array.isArray(seeding.pots) ? seeding.pots : {};
+  // The valid rank ranges, by pot
+  const ranges = {};
+
+  if (Object.keys(pots).length === 0) {
+    addProblem(null, 'seeding.pots', 'Pots should be an object with pot names as keys and rank ranges as values, e.g. { "D": [1, 2] }');
+  }
+
+  for (const [pot, range] of Object.entries(pots)) {
+    const [first, last] = Array.isArray(range) ? range : [];
+
+    if (!Array.isArray(range) || range.length !== 2 || !Number.isInteger(first) || !Number.isInteger(last) || first < 1 || last < first) {
+      addProblem(null, `seeding.pots.${pot}`, `Pot ${pot} should be a range of ranks like [1, 2]`);
+      continue;
+    }
+
+    ranges[pot] = [first, last];
+  }
+
+  const sortedRanks = Object.values(ranges).flatMap(([first, last]) => Array.from({ length: last - first + 1 }, (_, i) => first + i))
+    .sort((rank1, rank2) => rank1 - rank2);
+  if (isValidBracket && (sortedRanks.length !== bracketSize || sortedRanks.some((rank, i) => rank !== i + 1))) {
+    addProblem(null, 'seeding.pots', `Pots should cover the ranks 1 to ${bracketSize} once each`);
+  }
+
+  if (!Array.isArray(seeding.draws) || !seeding.draws.every(draw => Array.isArray(draw) && draw.length === 2)) {
+    addProblem(null, 'seeding.draws', 'Draws should be an array of two pots each, e.g. [["D", "G"]]');
+    return;
+  }
+
+  const potSize = (pot) => ranges[pot][1] - ranges[pot][0] + 1;
+  const drawnPots = seeding.draws.flat();
+
+  seeding.draws.forEach(([pot1, pot2]) => {
+    const unknown = [pot1, pot2].filter(pot => !(pot in pots));
+
+    if (unknown.length > 0) {
+      addProblem(null, 'seeding.draws', `Unknown pot "${unknown[0]}" in the draw of ${pot1} and ${pot2}`);
+    } else if (pot1 in ranges && pot2 in ranges && potSize(pot1) !== potSize(pot2)) {
+      addProblem(null, 'seeding.draws', `Pots ${pot1} and ${pot2} have a different number of teams`);
+    }
+  });
+
+  Object.keys(pots).forEach(pot => {
+    const count = drawnPots.filter(drawnPot => drawnPot === pot).length;
+
+    if (count !== 1) {
+      addProblem(null, 'seeding.draws', `Pot ${pot} should be in exactly one draw, found ${count}`);
+    }
+  });
+}
+
+/**
+ * Checks the games pinned by a results file, see `validateData`.
+ *
+ * @param {object} results - The contents of the results file.
+ * @param {object} format - The tournament format, for the names of the elimination stages.
+ * @param {Set<string>} isoCodes - The ISO codes of all teams.
+ * @param {Map<string, string>} teamGroups - The group of every team, by ISO code.
+ * @param {function(string, string, string): void} addProblem - Adds a problem with the team, field and message.
+ */
+const validateResults = (results, format, isoCodes, teamGroups, addProblem) => {
+  if (typeof results !== 'object' || results === null || Array.isArray(results)) {
+    addProblem(null, 'results', 'Results should be an object with stages as keys and arrays of games as values');
+    return;
+  }
+
+  const stages = ['group', ...getStageNames(format.bracketSize), 'bronze'];
+  const pinnedGames = new Set();
+
+  for (const [stage, games] of Object.entries(results)) {
+    if (!stages.includes(stage)) {
+      addProblem(null, stage, `Unknown stage "${stage}", expected one of: ${stages.join(', ')}`);
+      continue;
+    }
+
+    if (!Array.isArray(games)) {
+      addProblem(null, stage, 'Stage should be an array of games');
+      continue;
+    }
+
+    games.forEach((game, index) => {
+      const name = `${stage} game ${index + 1}`;
+
+      if (typeof game !== 'object' || game === null) {
+        addProblem(null, stage, `Game ${index + 1} should be an object`);
+        return;
+      }
+
+      const { Team, Opponent, Result, Overtimes } = game;
+
+      [['Team', Team], ['Opponent', Opponent]].forEach(([field, isoCode]) => {
+        if (!isoCodes.has(isoCode)) {
+          addProblem(Team ?? null, field, `Unknown team "${isoCode}" in ${name}`);
+        }
+      });
+
+      if (Team === Opponent) {
+        addProblem(Team ?? null, 'Opponent', `Team can't play itself in ${name}`);
+      } else if (stage === 'group' && isoCodes.has(Team) && isoCodes.has(Opponent) && teamGroups.get(Team) !== teamGroups.get(Opponent)) {
+        addProblem(Team, 'Opponent', `${Team} and ${Opponent} are not in the same group in ${name}`);
+      }
+
+      if (!RESULT_PATTERN.test(Result)) {
+        addProblem(Team ?? null, 'Result', `Invalid result "${Result}" in ${name}, expected a format like "90-85"`);
+      } else if (new Set(Result.split('-').map(Number)).size === 1) {
+        addProblem(Team ?? null, 'Result', `Tied result "${Result}" in ${name}, games are decided in overtime`);
+      }
+
+      if (Overtimes !== undefined && (!Number.isInteger(Overtimes) || Overtimes < 0)) {
+        addProblem(Team ?? null, 'Overtimes', `Invalid overtimes "${Overtimes}" in ${name}, expected a non-negative integer`);
+      }
+
+      const key = [stage, ...[Team, Opponent].sort()].join('|');
+      if (pinnedGames.has(key)) {
+        addProblem(Team ?? null, stage, `${Team} - ${Opponent} is pinned more than once in ${stage}`);
+      }
+      pinnedGames.add(key);
+    });
+  }
+}
+
+/**
+ * Checks the groups, exhibitions and tournament format before simulating, and collects every problem found.
+ * Nothing is thrown, so that all problems can be reported at once.
+ *
+ * Checks that:
+ * - the groups, exhibitions and format files contain JSON objects,
+ * - the number of groups and the size of every group match the format,
+ * - every team has a `Team` name, a unique three-letter `ISOCode` and a positive integer `FIBARanking`,
+ * - every team has exhibition games, and exhibitions.json has no teams that aren't in any group,
+ * - every exhibition game has a known `Opponent`, a `Result` like "90-85" and a `Date` like "21/07/24",
+ * - the format has its `advancement` with positive integer positions and counts, the advancing teams fill the bracket,
+ *   and the bracket size is a power of two,
+ * - the `seeding` is a draw with pots covering the ranks of the bracket once each, or a fixed bracket of advancing teams,
+ * - every game day on the calendar has a date, a venue and a known stage (with the round and groups of group games),
+ *   no game is on it twice, and the modifiers have valid settings,
+ * - with a results file, every pinned game has a known stage, two known teams (from the same group for group games)
+ *   and a `Result` without a winner-less tie, and no game is pinned twice.
+ *
+ * @param {object} groups - The contents of groups.json.
+ * @param {object} exhibitions - The contents of exhibitions.json.
+ * @param {object} format - The tournament format, see formats/olympic.json.
+ * @param {object} files - The paths the data was read from, used in the reported problems.
+ * @param {string} files.groups - Path to the groups file.
+ * @param {string} files.exhibitions - Path to the exhibitions file.
+ * @param {string} files.tournament - Path to the tournament format file.
+ * @param {string} [files.results] - Path to the results file.
+ * @param {object} [results] - The contents of the results file with pinned games, see `createPinnedResults`.
+ * @returns {Array<object>} The problems found, empty if the data is valid. Each problem has `file`, `team` (an ISO code or group name,
+ * `null` if the problem isn't about a single team), `field` and `message` properties.
+ *
+ * @example
+ * validateData(groups, { GER: [{ Date: '06/07/24', Opponent: 'XYZ', Result: '66-90' }] }, format, files);
+ * // [
+ * //   { file: 'exhibitions.json', team: 'GER', field: 'Opponent', message: 'Unknown team "XYZ" in game 1' },
+ * //   { file: 'exhibitions.json', team: 'FRA', field: 'FRA', message: 'No exhibition games' },
+ * //   ...
+ * // ]
+ */
+const validateData = (groups, exhibitions, format, files, results) => {
+  const problems = [];
+  const addProblem = (file, team, field, message) => problems.push({ file, team, field, message });
+
+  // The other checks need the files to be objects
+  const dataFiles = [[groups, files.groups, 'groups'], [exhibitions, files.exhibitions, 'exhibitions'], [format, files.tournament, 'tournament']];
+  dataFiles.forEach(([data, file, field]) => {
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+      addProblem(file, null, field, 'File should contain a JSON object');
+    }
+  });
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  const groupEntries = Object.entries(groups);
+  if (groupEntries.length !== format.groups) {
+    addProblem(files.groups, null, 'groups', `Expected ${format.groups} groups, found ${groupEntries.length}`);
+  }
+
+  const isoCodes = new Set();
+  const teamGroups = new Map();
+
+  for (const [group, teams] of groupEntries) {
+    if (!Array.isArray(teams)) {
+      addProblem(files.groups, group, group, 'Group should be an array of teams');
+      continue;
+    }
+
+    if (teams.length !== format.groupSize) {
+      addProblem(files.groups, group, group, `Expected ${format.groupSize} teams, found ${teams.length}`);
+    }
+
+    teams.forEach((team, index) => {
+      if (typeof team !== 'object' || team === null) {
+        addProblem(files.groups, `${group}[${index}]`, 'Team', 'Team should be an object');
+        return;
+      }
+
+      const teamName = team.ISOCode ?? `${group}[${index}]`;
+
+      if (typeof team.Team !== 'string' || team.Team.trim() === '') {
+        addProblem(files.groups, teamName, 'Team', 'Missing team name');
+      }
+
+      if (!ISO_CODE_PATTERN.test(team.ISOCode)) {
+        addProblem(files.groups, teamName, 'ISOCode', `Invalid ISO code "${team.ISOCode}", expected three uppercase letters`);
+      } else if (isoCodes.has(team.ISOCode)) {
+        addProblem(files.groups, teamName, 'ISOCode', `Duplicate ISO code "${team.ISOCode}"`);
+      }
+      isoCodes.add(team.ISOCode);
+      teamGroups.set(team.ISOCode, group);
+
+      if (!Number.isInteger(team.FIBARanking) || team.FIBARanking < 1) {
+        addProblem(files.groups, teamName, 'FIBARanking', `Invalid FIBA ranking "${team.FIBARanking}", expected a positive integer`);
+      }
+    });
+  }
+
+  for (const isoCode of isoCodes) {
+    if (!Array.isArray(exhibitions[isoCode]) || exhibitions[isoCode].length === 0) {
+      addProblem(files.exhibitions, isoCode, isoCode, 'No exhibition games');
+    }
+  }
+
+  for (const [team, matches] of Object.entries(exhibitions)) {
+    if (!isoCodes.has(team)) {
+      addProblem(files.exhibitions, team, team, 'Team is not in any group');
+    }
+
+    if (!Array.isArray(matches)) {
+      continue;
+    }
+
+    matches.forEach((match, index) => {
+      const game = `game ${index + 1}`;
+
+      if (typeof match !== 'object' || match === null) {
+        addProblem(files.exhibitions, team, team, `Game ${index + 1} should be an object`);
+        return;
+      }
+
+      if (!isoCodes.has(match.Opponent)) {
+        addProblem(files.exhibitions, team, 'Opponent', `Unknown team "${match.Opponent}" in ${game}`);
+      }
+
+      if (!RESULT_PATTERN.test(match.Result)) {
+        addProblem(files.exhibitions, team, 'Result', `Invalid result "${match.Result}" in ${game}, expected a format like "90-85"`);
+      }
+
+      if (!isValidDate(match.Date)) {
+        addProblem(files.exhibitions, team, 'Date', `Invalid date "${match.Date}" in ${game}, expected DD/MM/YY`);
+      }
+    });
+  }
+
+  if (!Array.isArray(format.advancement) || !format.advancement.every(entry => typeof entry === 'object' && entry !== null)) {
+    addProblem(files.tournament, null, 'advancement', 'Advancement should be an array like [{ "position": 1, "count": 3 }]');
+  } else {
+    const advancingTeams = format.advancement.reduce((sum, { count }) => sum + count, 0);
+    if (advancingTeams !== format.bracketSize) {
+      addProblem(files.tournament, null, 'advancement', `${advancingTeams} teams advance, but the bracket has ${format.bracketSize} places`);
+    }
+
+    format.advancement.forEach(({ position, count }) => {
+      if (!Number.isInteger(position) || position < 1 || !Number.isInteger(count) || count < 1) {
+        addProblem(files.tournament, null, 'advancement', `Invalid position "${position}" or count "${count}", expected positive integers`);
+      } else if (position > format.groupSize || count > format.groups) {
+        addProblem(files.tournament, null, 'advancement', `Can't advance ${count} teams from position ${position}`);
+      }
+    });
+  }
+
+  if (!Number.isInteger(Math.log2(format.bracketSize)) || format.bracketSize < 2) {
+    addProblem(files.tournament, null, 'bracketSize', `Bracket size ${format.bracketSize} is not a power of two`);
+  }
+
+  validateSeeding(format, groupEntries.map(([group]) => group), (team, field, message) => addProblem(files.tournament, team, field, message));
+  validateSchedule(format, groupEntries.map(([group]) => group), (team, field, message) => addProblem(files.tournament, team, field, message));
+
+  if (results !== undefined) {
+    validateResults(results, format, isoCodes, teamGroups, (team, field, message) => addProblem(files.results, team, field, message));
+  }
+
+  return problems;
+}
+
+export default validateData;